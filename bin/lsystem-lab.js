@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// ---- lsystem-lab CLI ----
+// Batch-renders preset files to SVG, OBJ or STL without a browser, on top of the
+// headless engine. A file may hold one preset or a whole library exported from the app.
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs'
+import { basename, extname, join } from 'node:path'
+import { parseArgs } from 'node:util'
+import { renderPreset, createModel, buildSVG, projectPlane, toOBJ, toSTL, parseLibrary, validatePreset } from '../src/engine.js'
+
+const USAGE = `Usage: lsystem-lab render <preset.json>... [options]
+
+Renders presets to SVG, OBJ or STL. A file can hold one preset or a preset library
+exported from the app, in which case every preset in it is rendered.
+
+Options:
+  --gen <n>        generation to render (default: each preset's iterations)
+  --out <path>     output file for a single preset, or a directory for several
+                   (default: the current directory), where each is written to
+                   <name>-gen<n>.<format>, numbered -2, -3... if names clash
+  --format <fmt>   svg, obj or stl, when --out doesn't end in one (default: svg)
+  --name <name>    only render the preset with this name from a library
+  -h, --help       show this help
+
+Examples:
+  lsystem-lab render tree.json --gen 6 --out tree.svg
+  lsystem-lab render lsystem-presets.json --format obj --out models/`
+
+// SVG is the flat drawing seen from the front; OBJ and STL are the tube model
+const FORMATS = {
+  svg: data => buildSVG(data, projectPlane),
+  obj: async (data, params) => toOBJ(createModel(data, params)).text(),
+  stl: async (data, params) => Buffer.from(await toSTL(createModel(data, params)).arrayBuffer())
+}
+
+function fail(message) {
+  console.error(`lsystem-lab: ${message}`)
+  process.exit(1)
+}
+
+// [{ name, preset }] from one file; invalid library entries are reported and skipped
+function readPresets(file) {
+  let text
+  try {
+    text = readFileSync(file, 'utf8')
+  } catch (err) {
+    throw new Error(`can't read ${file}: ${err.message}`)
+  }
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error(`${file} is not JSON`)
+  }
+  if (data && data.axiom !== undefined) {
+    try {
+      return [{ name: basename(file, extname(file)), preset: validatePreset(data) }]
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`)
+    }
+  }
+  let library
+  try {
+    library = parseLibrary(text)
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`)
+  }
+  for (const message of library.errors) {
+    console.error(`lsystem-lab: ${file}: skipped ${message}`)
+    process.exitCode = 1
+  }
+  return Object.entries(library.presets).map(([name, preset]) => ({ name, preset }))
+}
+
+function slug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset'
+}
+
+async function render(files, options) {
+  const generation = options.gen === undefined ? undefined : Number(options.gen)
+  if (generation !== undefined && !(Number.isInteger(generation) && generation >= 0)) {
+    fail(`--gen must be a whole number, not "${options.gen}"`)
+  }
+  let jobs = []
+  for (const file of files) {
+    try {
+      jobs.push(...readPresets(file))
+    } catch (err) {
+      fail(err.message)
+    }
+  }
+  if (options.name !== undefined) jobs = jobs.filter(j => j.name === options.name)
+  if (!jobs.length) fail(options.name !== undefined ? `no preset named "${options.name}"` : 'no presets to render')
+
+  // --out names the file when it has an extension, which has to be a known format
+  const outExt = options.out ? extname(options.out).slice(1).toLowerCase() : ''
+  if (outExt && !(outExt in FORMATS)) fail(`unknown format "${outExt}", use svg, obj or stl`)
+  if (outExt && jobs.length > 1) fail(`--out names one file, but there are ${jobs.length} presets; give a directory`)
+  const single = outExt !== ''
+  const format = single ? outExt : (options.format ?? 'svg').toLowerCase()
+  if (!(format in FORMATS)) fail(`unknown format "${format}", use svg, obj or stl`)
+  const dir = single ? null : options.out ?? '.'
+  if (dir) mkdirSync(dir, { recursive: true })
+
+  // Presets whose names slug to the same file are numbered rather than overwritten
+  const written = new Set()
+  const fileFor = (name, n) => {
+    const base = `${slug(name)}-gen${n}`
+    let file = `${base}.${format}`
+    for (let k = 2; written.has(file); k++) file = `${base}-${k}.${format}`
+    written.add(file)
+    return join(dir, file)
+  }
+
+  for (const { name, preset } of jobs) {
+    try {
+      const { params, data } = renderPreset(preset, { generation })
+      const n = generation ?? params.iterations
+      const path = single ? options.out : fileFor(name, n)
+      writeFileSync(path, await FORMATS[format](data, params))
+      console.log(`${path}: ${name}, generation ${n}, ${(data.vertices.length / 6).toLocaleString()} segments`)
+    } catch (err) {
+      console.error(`lsystem-lab: "${name}": ${err.message}`)
+      process.exitCode = 1
+    }
+  }
+}
+
+let args
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      gen: { type: 'string' },
+      out: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      name: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  })
+} catch (err) {
+  fail(`${err.message}\n\n${USAGE}`)
+}
+
+const [command, ...files] = args.positionals
+if (args.values.help || !command) {
+  console.log(USAGE)
+} else if (command !== 'render') {
+  fail(`unknown command "${command}"\n\n${USAGE}`)
+} else if (!files.length) {
+  fail(`render needs at least one preset file\n\n${USAGE}`)
+} else {
+  await render(files, args.values)
+}
@@ -0,0 +1,81 @@
+// ---- Color Modes ----
+// Recolors a generation's segments by a per-segment quantity mapped onto the user's
+// gradient, instead of the branch/leaf colors the symbol table assigned:
+//   birth     the generation the segment's symbol was born in, out of the last generation
+//   depth     bracket depth, out of the deepest branch
+//   distance  path length from the root to the segment's start, out of the longest
+//   height    the segment's midpoint height, bottom to top
+// Depth, distance and height are scaled to each generation's own range, so every
+// generation uses the whole gradient. blend 'gradient' interpolates between the stops;
+// 'steps' uses them as a palette: whole-number quantities (birth, depth) cycle through
+// it and the others are cut into equal bands.
+import * as THREE from 'three'
+
+// Bark brown to leaf green, for presets that don't choose their own stops
+export const DEFAULT_GRADIENT = ['#6B3E26', '#D2A679', '#7CCB5E']
+
+export function colorSegments(data, { mode, blend = 'gradient', gradient }, lastGen) {
+  const { vertices, segmentBirths, segmentDepths, segmentDistances } = data
+  const count = vertices.length / 6
+  const stops = gradient.map(hex => new THREE.Color(hex))
+  const colors = new Float32Array(count * 6)
+  const c = new THREE.Color()
+
+  let value
+  let max = 0
+  let min = 0
+  if (mode === 'birth') {
+    value = s => segmentBirths[s]
+    max = lastGen
+  } else if (mode === 'depth') {
+    value = s => segmentDepths[s]
+    for (let s = 0; s < count; s++) max = Math.max(max, segmentDepths[s])
+  } else if (mode === 'distance') {
+    value = s => segmentDistances[s]
+    for (let s = 0; s < count; s++) max = Math.max(max, segmentDistances[s])
+  } else {
+    value = s => (vertices[s * 6 + 1] + vertices[s * 6 + 4]) / 2
+    min = Infinity
+    max = -Infinity
+    for (let s = 0; s < count; s++) {
+      const y = value(s)
+      if (y < min) min = y
+      if (y > max) max = y
+    }
+  }
+  const discrete = mode === 'birth' || mode === 'depth'
+
+  for (let s = 0; s < count; s++) {
+    const v = value(s)
+    const t = max > min ? (v - min) / (max - min) : 0
+    if (blend === 'steps') {
+      const k = discrete ? v % stops.length : Math.min(stops.length - 1, Math.floor(t * stops.length))
+      c.copy(stops[k])
+    } else {
+      sampleGradient(stops, t, c)
+    }
+    colors.set([c.r, c.g, c.b, c.r, c.g, c.b], s * 6)
+  }
+  return colors
+}
+
+// The color 'birth' mode gives each generation 0..lastGen, as CSS hex strings
+export function birthPalette({ blend = 'gradient', gradient }, lastGen) {
+  const stops = gradient.map(hex => new THREE.Color(hex))
+  const c = new THREE.Color()
+  const palette = []
+  for (let b = 0; b <= lastGen; b++) {
+    if (blend === 'steps') c.copy(stops[b % stops.length])
+    else sampleGradient(stops, lastGen > 0 ? b / lastGen : 0, c)
+    palette.push(`#${c.getHexString()}`)
+  }
+  return palette
+}
+
+// Piecewise-linear blend of evenly spaced stops at t in [0, 1], written into out
+function sampleGradient(stops, t, out) {
+  if (stops.length === 1) return out.copy(stops[0])
+  const x = Math.min(1, Math.max(0, t)) * (stops.length - 1)
+  const k = Math.min(stops.length - 2, Math.floor(x))
+  return out.lerpColors(stops[k], stops[k + 1], x - k)
+}
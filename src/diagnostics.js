@@ -0,0 +1,146 @@
+// ---- Grammar Diagnostics ----
+// Static checks on the grammar as typed, run before anything is derived, for the mistakes
+// that otherwise just draw the wrong thing: rule rows getParams() drops, rules that can't
+// be parsed or never fire, unbalanced brackets, symbols that do nothing, and grammars
+// that will outgrow the memory budget.
+// Problems are { level: 'error' | 'warning' | 'info', message, row }, where row is the
+// index of the offending rule row, or -1 for the axiom and the grammar as a whole.
+import { parseModules, parsePredecessor } from './lsystem.js'
+import { compileExpression } from './expr.js'
+import { TURTLE_COMMANDS } from './turtle.js'
+
+// Rough cost of one symbol once derived and drawn: the worker's per-symbol bookkeeping
+// plus a segment's vertices, colors, growth origins and per-segment attributes
+const BYTES_PER_SYMBOL = 160
+
+// rows: every rule row as typed, { pred, prod, weight }, empty ones included
+// symbols: the symbol table from getParams(); budget in bytes
+export function diagnoseGrammar({ axiom, rows, symbols, iterations, budget }) {
+  const problems = []
+  const report = (level, row, message) => problems.push({ level, row, message })
+
+  let start = ''
+  if (!axiom.trim()) report('error', -1, 'The axiom is empty')
+  try {
+    const { chars, args } = parseModules(axiom)
+    for (const a of args) if (a) a.forEach(e => compileExpression(e))
+    start = chars
+  } catch (err) {
+    report('error', -1, `Axiom: ${err.message}`)
+  }
+  checkBrackets(start, 'The axiom', -1, report)
+
+  const rules = []
+  const seen = new Map()
+  rows.forEach(({ pred, prod, weight }, row) => {
+    const label = `Rule ${row + 1}`
+    if (!pred && !prod) return report('warning', row, `${label} is empty and ignored`)
+    if (!pred) return report('warning', row, `${label} has no predecessor and is ignored`)
+    if (!prod) return report('warning', row, `${label} has no production and is ignored`)
+
+    let rule
+    try {
+      const { sym, formals, left, right, cond } = parsePredecessor(pred)
+      if (cond) compileExpression(cond, formals)
+      const succ = parseModules(prod)
+      for (const a of succ.args) if (a) a.forEach(e => compileExpression(e, formals))
+      rule = { row, sym, succ: succ.chars, weight, always: !cond && !left && !right }
+    } catch (err) {
+      return report('error', row, `${label}: ${err.message}`)
+    }
+
+    const key = `${pred.replace(/\s/g, '')} -> ${prod.replace(/\s/g, '')}`
+    if (seen.has(key)) report('warning', row, `${label} repeats rule ${seen.get(key) + 1}`)
+    else seen.set(key, row)
+    checkBrackets(rule.succ, label, row, report)
+    if (!(weight > 0)) return report('warning', row, `${label} has weight ${weight}, so it's never chosen`)
+    rules.push(rule)
+  })
+
+  // Several plain rules for one symbol aren't a mistake, but say what they do
+  const alternatives = new Map()
+  for (const r of rules) {
+    if (r.always) alternatives.set(r.sym, [...(alternatives.get(r.sym) || []), r])
+  }
+  for (const [sym, list] of alternatives) {
+    if (list.length > 1) {
+      report('info', list[0].row, `"${sym}" has ${list.length} rules; each step picks one at random by weight`)
+    }
+  }
+
+  const hasRule = new Set(rules.map(r => r.sym))
+  const used = new Set([...start, ...rules.flatMap(r => [...r.succ])])
+  for (const ch of used) {
+    if (!hasRule.has(ch) && !TURTLE_COMMANDS.includes(ch) && !(ch in symbols)) {
+      report('warning', -1, `"${ch}" has no rule and no turtle meaning, so it does nothing`)
+    }
+  }
+
+  const counts = estimateGrowth(start, rules, iterations)
+  // Every generation's geometry is kept, so the budget goes on the running total
+  let bytes = 0
+  for (let n = 0; n < counts.length; n++) {
+    bytes += counts[n] * BYTES_PER_SYMBOL
+    if (n > 0 && bytes > budget) {
+      report('warning', -1, `About ${Math.round(counts[n]).toLocaleString()} symbols in generation ${n}: ` +
+        `likely to stop before it at the ${Math.round(budget / 1048576)} MB memory budget`)
+      break
+    }
+  }
+  return { problems, counts }
+}
+
+// "[" and "]" (and "{" and "}") should pair up within each production
+function checkBrackets(chars, label, row, report) {
+  for (const [open, close] of [['[', ']'], ['{', '}']]) {
+    let depth = 0
+    for (const ch of chars) {
+      if (ch === open) depth++
+      else if (ch === close && --depth < 0) {
+        report('warning', row, `${label} has a "${close}" with no "${open}" before it; the turtle ignores it`)
+        depth = 0
+      }
+    }
+    if (depth > 0) report('warning', row, `${label} leaves ${depth} "${open}" unclosed`)
+  }
+}
+
+// Expected symbol count of every generation from the growth matrix: row s holds how many
+// of each symbol one s becomes in a step, averaging its rules by weight, and symbols
+// without a rule become themselves. Rules with a condition or context are counted as if
+// they always fired, so for those grammars it's an upper estimate.
+export function estimateGrowth(start, rules, iterations) {
+  const index = new Map()
+  const id = ch => {
+    if (!index.has(ch)) index.set(ch, index.size)
+    return index.get(ch)
+  }
+  for (const ch of start) id(ch)
+  for (const r of rules) {
+    id(r.sym)
+    for (const ch of r.succ) id(ch)
+  }
+  const k = index.size
+  const matrix = new Float64Array(k * k)
+  const totals = new Float64Array(k)
+  for (const r of rules) totals[id(r.sym)] += r.weight
+  for (const r of rules) {
+    const s = id(r.sym)
+    for (const ch of r.succ) matrix[s * k + id(ch)] += r.weight / totals[s]
+  }
+  for (let s = 0; s < k; s++) if (!totals[s]) matrix[s * k + s] = 1
+
+  let v = new Float64Array(k)
+  for (const ch of start) v[id(ch)]++
+  const counts = [start.length]
+  for (let n = 0; n < iterations; n++) {
+    const next = new Float64Array(k)
+    for (let s = 0; s < k; s++) {
+      if (!v[s]) continue
+      for (let t = 0; t < k; t++) next[t] += v[s] * matrix[s * k + t]
+    }
+    v = next
+    counts.push(v.reduce((sum, c) => sum + c, 0))
+  }
+  return counts
+}
@@ -0,0 +1,48 @@
+// ---- Headless Engine ----
+// The public API for using L-System Lab outside the page: build scripts, tests and the
+// lsystem-lab CLI. Nothing reachable from here touches the DOM; Three.js is only used for
+// its math, geometry containers and model exporters, all of which run in Node.
+//
+//   import { renderPreset, buildSVG, projectPlane } from 'lsystem-lab'
+//   const { data } = renderPreset(JSON.parse(text), { generation: 6 })
+//   fs.writeFileSync('tree.svg', buildSVG(data, projectPlane))
+//
+// Presets are the objects the app saves and exports (see presets.js); params are the
+// getParams() form the derivation and turtle take (length is `len`, defaults filled in).
+import { deriveGenerations } from './lsystem.js'
+import { interpretString } from './turtle.js'
+import { colorSegments } from './colors.js'
+import { validatePreset, paramsFromPreset } from './presets.js'
+
+export { deriveGenerations, generateAllGenerationsTagged, generationToString, walkGeneration, traceAncestry, descendantRange } from './lsystem.js'
+export { interpretString, createTurtle, TURTLE_COMMANDS, DEFAULT_SYMBOLS } from './turtle.js'
+export { colorSegments } from './colors.js'
+export { validatePreset, parseLibrary, serializeLibrary, PRESET_DEFAULTS } from './presets.js'
+export { parseGrammar, formatGrammar } from './grammar-text.js'
+export { diagnoseGrammar } from './diagnostics.js'
+export { mutateParams } from './mutate.js'
+export { buildTubeArrays, createModel } from './model.js'
+export { buildSVG, projectPlane, toOBJ, toSTL, toGLB } from './export.js'
+
+// Validates a preset and fills in everything it leaves out with the page's defaults
+export function presetParams(preset) {
+  return paramsFromPreset(validatePreset(preset))
+}
+
+// Derives a preset up to one generation (its own iterations by default) and runs the
+// turtle over it, colored by the preset's Color By mode. Earlier generations are dropped
+// as it goes. Returns { params, generation, data }: the derived symbols and the geometry.
+export function renderPreset(preset, { generation } = {}) {
+  const params = presetParams(preset)
+  const n = generation ?? params.iterations
+  let last = null
+  for (const gen of deriveGenerations(params.axiom, params.rules, n, { seed: params.seed, ignore: params.ignore })) {
+    last = gen
+  }
+  const data = interpretString(last, params)
+  if (params.colorMode !== 'symbol') {
+    const { colorMode: mode, colorBlend: blend, gradient } = params
+    data.colors = colorSegments(data, { mode, blend, gradient }, n)
+  }
+  return { params, generation: last, data }
+}
@@ -0,0 +1,194 @@
+// ---- Model Export ----
+// Turns the scene objects built for a generation into downloadable files, entirely in the
+// browser. Instanced shapes are baked into plain meshes first, since OBJ and STL have no
+// notion of instancing and not every glTF viewer supports EXT_mesh_gpu_instancing.
+import * as THREE from 'three'
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js'
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+
+// Copy of object with every InstancedMesh replaced by one merged mesh of all its instances,
+// carrying the per-instance color down to the vertices
+export function bakeInstances(object) {
+  const root = object.clone()
+  const instanced = []
+  root.traverse(child => { if (child.isInstancedMesh) instanced.push(child) })
+  for (const mesh of instanced) {
+    const parts = []
+    const matrix = new THREE.Matrix4()
+    const color = new THREE.Color()
+    for (let i = 0; i < mesh.count; i++) {
+      mesh.getMatrixAt(i, matrix)
+      const g = mesh.geometry.clone().applyMatrix4(matrix)
+      if (mesh.instanceColor) {
+        mesh.getColorAt(i, color)
+        const colors = g.attributes.color
+        for (let v = 0; v < colors.count; v++) {
+          colors.setXYZ(v, colors.getX(v) * color.r, colors.getY(v) * color.g, colors.getZ(v) * color.b)
+        }
+      }
+      parts.push(g)
+    }
+    const baked = parts.length ? new THREE.Mesh(mergeGeometries(parts), mesh.material) : new THREE.Object3D()
+    baked.name = mesh.name
+    mesh.parent.add(baked)
+    mesh.parent.remove(mesh)
+  }
+  return root
+}
+
+export function toOBJ(object) {
+  const text = new OBJExporter().parse(bakeInstances(object))
+  return new Blob([text], { type: 'text/plain' })
+}
+
+// Binary STL holds triangles only, so lines in the object are skipped
+export function toSTL(object) {
+  const data = new STLExporter().parse(bakeInstances(object), { binary: true })
+  return new Blob([data], { type: 'model/stl' })
+}
+
+export async function toGLB(object) {
+  const buffer = await new GLTFExporter().parseAsync(bakeInstances(object), { binary: true })
+  return new Blob([buffer], { type: 'model/gltf-binary' })
+}
+
+// ---- SVG ----
+// Vector drawing of a generation's segments (and filled polygons) in 2D. project maps a
+// world point to [x, y] in SVG space (y down). Consecutive segments that join end to start
+// with the same color are merged into one polyline; the viewBox is fitted to the drawing.
+// Instanced shapes are 3D meshes and are left out.
+export function buildSVG(data, project, { strokeWidth } = {}) {
+  const { vertices, colors, polygons } = data
+  const round = v => Math.round(v * 1000) / 1000
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  const point = (x, y, z) => {
+    const p = project(x, y, z)
+    if (!p) return null
+    p[0] = round(p[0])
+    p[1] = round(p[1])
+    if (p[0] < minX) minX = p[0]
+    if (p[0] > maxX) maxX = p[0]
+    if (p[1] < minY) minY = p[1]
+    if (p[1] > maxY) maxY = p[1]
+    return p
+  }
+
+  const lines = [] // { color, points: [[x, y], ...] }
+  let current = null
+  for (let o = 0; o < vertices.length; o += 6) {
+    const a = point(vertices[o], vertices[o + 1], vertices[o + 2])
+    const b = point(vertices[o + 3], vertices[o + 4], vertices[o + 5])
+    if (!a || !b) { current = null; continue }
+    const color = colorHex(colors, o)
+    const last = current && current.points[current.points.length - 1]
+    if (current && current.color === color && last[0] === a[0] && last[1] === a[1]) {
+      current.points.push(b)
+    } else {
+      current = { color, points: [a, b] }
+      lines.push(current)
+    }
+  }
+
+  const fills = []
+  if (polygons) {
+    for (let o = 0; o < polygons.positions.length; o += 9) {
+      const pts = []
+      for (let k = 0; k < 9; k += 3) pts.push(point(polygons.positions[o + k], polygons.positions[o + k + 1], polygons.positions[o + k + 2]))
+      if (pts.every(p => p)) fills.push({ color: colorHex(polygons.colors, o), points: pts })
+    }
+  }
+
+  if (!isFinite(minX)) { minX = minY = 0; maxX = maxY = 1 }
+  const size = Math.max(maxX - minX, maxY - minY) || 1
+  const sw = strokeWidth ?? round(size / 500)
+  const pad = sw * 2
+  const viewBox = [minX - pad, minY - pad, maxX - minX + pad * 2, maxY - minY + pad * 2].map(round).join(' ')
+  const pts = points => points.map(p => `${p[0]},${p[1]}`).join(' ')
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">`,
+    `<g fill="none" stroke-width="${sw}" stroke-linecap="round" stroke-linejoin="round">`
+  ]
+  for (const f of fills) out.push(`<polygon points="${pts(f.points)}" fill="${f.color}" stroke="none"/>`)
+  for (const l of lines) out.push(`<polyline points="${pts(l.points)}" stroke="${l.color}"/>`)
+  out.push('</g>', '</svg>', '')
+  return out.join('\n')
+}
+
+// Vertex colors are in three's linear working space; getHexString converts back to sRGB
+const hexColor = new THREE.Color()
+function colorHex(colors, o) {
+  return '#' + hexColor.setRGB(colors[o], colors[o + 1], colors[o + 2]).getHexString()
+}
+
+// Orthographic top-down projection onto the z = 0 plane, y flipped for SVG
+export function projectPlane(x, y) {
+  return [x, -y]
+}
+
+// Projection through a camera, in NDC units scaled by the aspect ratio. Points behind the
+// camera return null.
+export function cameraProjector(camera) {
+  const v = new THREE.Vector3()
+  return (x, y, z) => {
+    v.set(x, y, z).project(camera)
+    if (v.z > 1) return null
+    return [v.x * camera.aspect, -v.y]
+  }
+}
+
+// ---- High-resolution PNG ----
+// Renders scene through camera at width x height, independent of the window size. The
+// image is rendered in tiles (setViewOffset) by a separate renderer, so sizes past the
+// GPU's maximum drawing buffer, like 8K, still work; the tiles are stitched on a 2D canvas.
+// That canvas is bound by the browser's limits: 32767 px a side and 16384² in area (Chrome).
+export const PNG_MAX_SIDE = 32767
+export const PNG_MAX_AREA = 16384 * 16384
+
+// width x height scaled down, keeping the aspect ratio, to fit the 2D canvas limits
+export function fitPNGSize(width, height) {
+  const scale = Math.min(1, PNG_MAX_SIDE / width, PNG_MAX_SIDE / height, Math.sqrt(PNG_MAX_AREA / (width * height)))
+  return [Math.max(1, Math.floor(width * scale)), Math.max(1, Math.floor(height * scale))]
+}
+
+export function renderPNG(scene, camera, width, height) {
+  const tile = 2048
+  const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true })
+  renderer.setPixelRatio(1)
+  const cam = camera.clone()
+  cam.aspect = width / height
+  cam.updateProjectionMatrix()
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  for (let y = 0; y < height; y += tile) {
+    for (let x = 0; x < width; x += tile) {
+      const w = Math.min(tile, width - x)
+      const h = Math.min(tile, height - y)
+      renderer.setSize(w, h, false)
+      cam.setViewOffset(width, height, x, y, w, h)
+      renderer.render(scene, cam)
+      ctx.drawImage(renderer.domElement, x, y)
+    }
+  }
+  renderer.dispose()
+  renderer.forceContextLoss()
+  return new Promise((resolve, reject) => canvas.toBlob(blob => {
+    if (blob) resolve(blob)
+    else reject(new Error(`The browser couldn't encode a ${width}×${height} PNG; try a smaller size`))
+  }, 'image/png'))
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,160 @@
+// ---- Expression Compiler ----
+// Arithmetic for parametric modules, e.g. F(l*0.8) or A(t) : t>2.
+// Expressions are parsed here and compiled into plain closures — no eval, and the only
+// names an expression can see are the ones it was compiled against plus the whitelist below.
+// Comparisons and logic produce 1 or 0, so conditions are just expressions.
+
+const FUNCTIONS = {
+  abs: Math.abs, sqrt: Math.sqrt, exp: Math.exp, log: Math.log, pow: Math.pow,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos,
+  atan: Math.atan, atan2: Math.atan2, min: Math.min, max: Math.max,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round, sign: Math.sign
+}
+
+const CONSTANTS = { PI: Math.PI, E: Math.E }
+
+const TOKEN_RE = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/%^<>!(),?:]))/y
+
+function tokenize(src) {
+  const tokens = []
+  let pos = 0
+  while (src.slice(pos).trim()) {
+    TOKEN_RE.lastIndex = pos
+    const m = TOKEN_RE.exec(src)
+    if (!m) throw new Error(`Unexpected '${src.slice(pos).trim()[0]}' in "${src.trim()}"`)
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]) })
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2] })
+    else tokens.push({ type: 'op', value: m[3] })
+    pos = TOKEN_RE.lastIndex
+  }
+  return tokens
+}
+
+const BINARY = {
+  '||': { prec: 1, fn: (a, b) => env => (a(env) || b(env)) ? 1 : 0 },
+  '&&': { prec: 2, fn: (a, b) => env => (a(env) && b(env)) ? 1 : 0 },
+  '==': { prec: 3, fn: (a, b) => env => a(env) === b(env) ? 1 : 0 },
+  '!=': { prec: 3, fn: (a, b) => env => a(env) !== b(env) ? 1 : 0 },
+  '<': { prec: 4, fn: (a, b) => env => a(env) < b(env) ? 1 : 0 },
+  '<=': { prec: 4, fn: (a, b) => env => a(env) <= b(env) ? 1 : 0 },
+  '>': { prec: 4, fn: (a, b) => env => a(env) > b(env) ? 1 : 0 },
+  '>=': { prec: 4, fn: (a, b) => env => a(env) >= b(env) ? 1 : 0 },
+  '+': { prec: 5, fn: (a, b) => env => a(env) + b(env) },
+  '-': { prec: 5, fn: (a, b) => env => a(env) - b(env) },
+  '*': { prec: 6, fn: (a, b) => env => a(env) * b(env) },
+  '/': { prec: 6, fn: (a, b) => env => a(env) / b(env) },
+  '%': { prec: 6, fn: (a, b) => env => a(env) % b(env) }
+}
+
+// `names` lists the variables the expression may use, in env order:
+// the compiled function is called with an array of values, env[i] for names[i].
+export function compileExpression(src, names = []) {
+  const tokens = tokenize(src)
+  let i = 0
+
+  const fail = (msg) => { throw new Error(`${msg} in "${src.trim()}"`) }
+  const peek = () => tokens[i]
+  const isOp = (value) => tokens[i] && tokens[i].type === 'op' && tokens[i].value === value
+  const expect = (value) => {
+    if (!isOp(value)) fail(tokens[i] ? `Expected '${value}' but found '${tokens[i].value}'` : `Expected '${value}'`)
+    i++
+  }
+
+  function parseTernary() {
+    const cond = parseBinary(1)
+    if (!isOp('?')) return cond
+    i++
+    const a = parseTernary()
+    expect(':')
+    const b = parseTernary()
+    return env => cond(env) ? a(env) : b(env)
+  }
+
+  // Precedence climbing over the BINARY table
+  function parseBinary(minPrec) {
+    let left = parseUnary()
+    for (;;) {
+      const t = peek()
+      const op = t && t.type === 'op' && BINARY[t.value]
+      if (!op || op.prec < minPrec) return left
+      i++
+      const right = parseBinary(op.prec + 1)
+      left = op.fn(left, right)
+    }
+  }
+
+  function parseUnary() {
+    if (isOp('-')) { i++; const a = parseUnary(); return env => -a(env) }
+    if (isOp('+')) { i++; return parseUnary() }
+    if (isOp('!')) { i++; const a = parseUnary(); return env => a(env) ? 0 : 1 }
+    return parsePower()
+  }
+
+  // ^ is exponentiation, right-associative and tighter than unary minus: -2^2 = -4
+  function parsePower() {
+    const base = parsePrimary()
+    if (!isOp('^')) return base
+    i++
+    const exp = parseUnary()
+    return env => Math.pow(base(env), exp(env))
+  }
+
+  function parsePrimary() {
+    const t = tokens[i++]
+    if (!t) fail('Unexpected end of expression')
+    if (t.type === 'num') {
+      const v = t.value
+      return () => v
+    }
+    if (t.type === 'name') {
+      if (isOp('(')) {
+        const fn = Object.hasOwn(FUNCTIONS, t.value) && FUNCTIONS[t.value]
+        if (!fn) fail(`Unknown function '${t.value}'`)
+        i++
+        const args = []
+        if (!isOp(')')) {
+          args.push(parseTernary())
+          while (isOp(',')) { i++; args.push(parseTernary()) }
+        }
+        expect(')')
+        return env => fn(...args.map(a => a(env)))
+      }
+      const idx = names.indexOf(t.value)
+      if (idx >= 0) return env => env[idx]
+      if (Object.hasOwn(CONSTANTS, t.value)) {
+        const v = CONSTANTS[t.value]
+        return () => v
+      }
+      fail(`Unknown name '${t.value}'`)
+    }
+    if (t.value === '(') {
+      const inner = parseTernary()
+      expect(')')
+      return inner
+    }
+    fail(`Unexpected '${t.value}'`)
+  }
+
+  if (tokens.length === 0) fail('Empty expression')
+  const fn = parseTernary()
+  if (i < tokens.length) fail(`Unexpected '${tokens[i].value}'`)
+  return fn
+}
+
+// Split "a, f(b, c), d" on top-level commas only
+export function splitArgs(src) {
+  const parts = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (ch === '(') depth++
+    else if (ch === ')') depth--
+    else if (ch === ',' && depth === 0) {
+      parts.push(src.slice(start, i))
+      start = i + 1
+    }
+  }
+  parts.push(src.slice(start))
+  return parts
+}
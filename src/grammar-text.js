@@ -0,0 +1,134 @@
+// ---- Grammar Text ----
+// Reads and writes grammars in the plain-text notation of ABOP and L-Py:
+//
+//   # Fractal plant (ABOP fig. 1.24f)
+//   axiom: X
+//   n = 7
+//   #define angle 20
+//   X -> F[+X]F[-X]+X
+//   F -(0.6)-> FF            stochastic rule with weight 0.6
+//   A(t) : t > 2 -> F(t)A(t-1)
+//
+// Settings are "key: value", "key = value" or "#define key value". Lines starting with
+// # that aren't settings are comments, as is anything after " #".
+// parseGrammar returns the grammar part of getParams() — axiom and rules, plus any
+// settings the text gives — and throws an Error with line and column set on bad input.
+import { parseModules, parsePredecessor, normalizeRules } from './lsystem.js'
+import { compileExpression } from './expr.js'
+
+// Setting names (and their aliases) -> getParams() key
+const SETTINGS = {
+  axiom: 'axiom', ω: 'axiom',
+  n: 'iterations', iterations: 'iterations',
+  angle: 'angle', delta: 'angle', δ: 'angle',
+  length: 'len', len: 'len',
+  twist: 'twist',
+  seed: 'seed',
+  ignore: 'ignore'
+}
+
+// "->", "-->", "→" or a weighted "-(0.5)->"
+const ARROW_RE = /-\(([^)]*)\)->|-->|->|→/
+const SETTING_RE = /^(#define\s+|#)?([^\s:=#]+)\s*(?:[:=]\s*|\s+)(.*)$/
+
+function syntaxError(message, line, column) {
+  const err = new Error(`Line ${line}, column ${column}: ${message}`)
+  err.line = line
+  err.column = column
+  return err
+}
+
+export function parseGrammar(text) {
+  const grammar = { rules: [] }
+  const lines = text.split(/\r?\n/)
+
+  lines.forEach((raw, i) => {
+    const line = i + 1
+    const body = raw.replace(/\s#.*$/, '').trimEnd()
+    const start = body.length - body.trimStart().length
+    const src = body.trim()
+    if (!src) return
+    const col = (offset) => start + offset + 1
+
+    // Axioms and ignore lists may contain "->" themselves
+    const arrow = !/^(#|axiom\b|ω|ignore\b)/.test(src) && ARROW_RE.exec(src)
+    if (arrow) {
+      grammar.rules.push(parseRule(src, arrow, line, col))
+      return
+    }
+
+    const m = SETTING_RE.exec(src)
+    const key = m && SETTINGS[m[2]]
+    if (!key) {
+      if (src.startsWith('#') && !src.startsWith('#define')) return // comment
+      if (m && m[1]) throw syntaxError(`Unknown setting "${m[2]}"; constants aren't supported, write the value into the rules`, line, col(m[1].length))
+      throw syntaxError('Expected a rule like "X -> F[+X]" or a setting like "axiom: X"', line, col(0))
+    }
+    const value = m[3].trim()
+    const valueCol = col(src.length - m[3].length)
+    if (key in grammar) throw syntaxError(`${m[2]} is set twice`, line, col(0))
+    grammar[key] = parseSetting(key, value, line, valueCol)
+  })
+
+  if (grammar.axiom === undefined) throw syntaxError('No axiom; add a line like "axiom: X"', 1, 1)
+  return grammar
+}
+
+function parseRule(src, arrow, line, col) {
+  const predText = src.slice(0, arrow.index)
+  const prodStart = arrow.index + arrow[0].length
+  const prod = src.slice(prodStart).trim()
+  const prodCol = col(src.length - src.slice(prodStart).trimStart().length)
+
+  let formals
+  try {
+    formals = parsePredecessor(predText).formals
+  } catch (err) {
+    throw syntaxError(err.message, line, col(0))
+  }
+  let weight = 1
+  if (arrow[1] !== undefined) {
+    weight = Number(arrow[1])
+    if (!arrow[1].trim() || !(weight >= 0)) throw syntaxError(`Bad rule weight "${arrow[1]}"`, line, col(arrow.index + 2))
+  }
+  try {
+    for (const a of parseModules(prod).args) if (a) a.forEach(e => compileExpression(e, formals))
+  } catch (err) {
+    throw syntaxError(err.message, line, prodCol)
+  }
+  return { pred: predText.trim(), prod, weight }
+}
+
+function parseSetting(key, value, line, column) {
+  if (key === 'axiom' || key === 'ignore') {
+    if (key === 'axiom') {
+      if (!value) throw syntaxError('Empty axiom', line, column)
+      try {
+        for (const a of parseModules(value).args) if (a) a.forEach(e => compileExpression(e))
+      } catch (err) {
+        throw syntaxError(err.message, line, column)
+      }
+    }
+    return key === 'ignore' ? value.replace(/\s/g, '') : value
+  }
+  const number = Number(value)
+  if (!value || !isFinite(number)) throw syntaxError(`Expected a number, found "${value}"`, line, column)
+  if ((key === 'iterations' || key === 'seed') && !(Number.isInteger(number) && number >= 0)) {
+    throw syntaxError(`Expected a whole number, found "${value}"`, line, column)
+  }
+  return number
+}
+
+// The grammar part of getParams() as text that parseGrammar reads back the same.
+// Settings the params leave out (or an empty ignore list) aren't written.
+export function formatGrammar({ axiom, rules, iterations, angle, len, twist, seed, ignore }) {
+  const lines = [`axiom: ${axiom}`, `n = ${iterations}`, `#define angle ${angle}`]
+  if (len !== undefined) lines.push(`#define length ${len}`)
+  if (twist !== undefined) lines.push(`#define twist ${twist}`)
+  if (seed !== undefined) lines.push(`#define seed ${seed}`)
+  if (ignore) lines.push(`#define ignore ${ignore}`)
+  for (const { pred, prod, weight } of normalizeRules(rules)) {
+    lines.push(weight === 1 ? `${pred} -> ${prod}` : `${pred} -(${weight})-> ${prod}`)
+  }
+  return lines.join('\n') + '\n'
+}
@@ -0,0 +1,473 @@
+// ---- L-System Derivation ----
+// Derivation only: rules in, generations out. No DOM and no Three.js, so it runs the
+// same in the page, in the generation worker and in Node.
+import { compileExpression, splitArgs } from './expr.js'
+
+// ---- Modules ----
+// A module is a symbol with optional numeric parameters: F, F(5), A(t-1, w*0.7).
+// parseModules splits a string into its symbols plus the raw argument text of each
+// (null for a bare symbol). Whitespace between modules is ignored.
+export function parseModules(str) {
+  let chars = ''
+  const args = []
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i]
+    if (/\s/.test(ch)) continue
+    if (ch === '(' || ch === ')') throw new Error(`Unexpected '${ch}' in "${str}"`)
+    let a = null
+    if (str[i + 1] === '(') {
+      let depth = 0
+      let close = -1
+      for (let k = i + 1; k < str.length; k++) {
+        if (str[k] === '(') depth++
+        else if (str[k] === ')' && --depth === 0) { close = k; break }
+      }
+      if (close < 0) throw new Error(`Unclosed '(' after ${ch} in "${str}"`)
+      a = splitArgs(str.slice(i + 2, close))
+      i = close
+    }
+    chars += ch
+    args.push(a)
+  }
+  return { chars, args }
+}
+
+// Formal parameter list "(x, y)" -> ['x', 'y']
+function parseFormals(list) {
+  const formals = list.split(',').map(f => f.trim())
+  for (const f of formals) {
+    if (!/^[A-Za-z_]\w*$/.test(f)) throw new Error(`Bad parameter name '${f}'`)
+  }
+  return formals
+}
+
+// Context patterns are modules whose parameters are names to bind, not expressions:
+// "A(x)B" -> { chars: 'AB', codes: [65, 66], arities: [1, 0], formals: ['x'] }
+function parsePattern(text, side) {
+  const { chars, args } = parseModules(text)
+  if (!chars) throw new Error(`Empty ${side} context`)
+  if (side === 'left' && /[[\]]/.test(chars)) throw new Error('Left context cannot contain brackets')
+  const formals = []
+  for (const a of args) if (a) formals.push(...parseFormals(a.join(',')))
+  return { chars, codes: toCodes(chars), arities: args.map(a => a ? a.length : 0), formals }
+}
+
+export function toCodes(str) {
+  const codes = new Uint16Array(str.length)
+  for (let i = 0; i < str.length; i++) codes[i] = str.charCodeAt(i)
+  return codes
+}
+
+// Predecessor: optional left context, a symbol with optional formal parameters, optional
+// right context and an optional condition, e.g. "F", "A(t) : t > 2" or "A < B(x) > C : x > 1"
+const STRICT_RE = /^\s*([^\s()<>:])\s*(?:\(([^)]*)\))?\s*$/
+
+export function parsePredecessor(text) {
+  let rest = text
+  let cond = null
+  const colon = rest.indexOf(':')
+  if (colon >= 0) {
+    cond = rest.slice(colon + 1)
+    rest = rest.slice(0, colon)
+    if (!cond.trim()) throw new Error('Empty condition after :')
+  }
+  let left = null
+  let right = null
+  const lt = rest.indexOf('<')
+  if (lt >= 0) {
+    left = parsePattern(rest.slice(0, lt), 'left')
+    rest = rest.slice(lt + 1)
+  }
+  const gt = rest.indexOf('>')
+  if (gt >= 0) {
+    right = parsePattern(rest.slice(gt + 1), 'right')
+    rest = rest.slice(0, gt)
+  }
+  const m = STRICT_RE.exec(rest)
+  if (!m) throw new Error('Expected [left <] symbol[(params)] [> right] [: condition]')
+  const own = m[2] !== undefined ? parseFormals(m[2]) : []
+  // Condition and successor see the context's parameters too, in reading order
+  const formals = [...(left ? left.formals : []), ...own, ...(right ? right.formals : [])]
+  if (new Set(formals).size !== formals.length) throw new Error('Parameter names must be unique')
+  return { sym: m[1], arity: own.length, formals, left, right, cond }
+}
+
+// Integer hash of two 32-bit values (murmur3 finalizer). Used to give every symbol a
+// stable identity derived from its ancestry, see generateAllGenerationsTagged.
+export function hash32(a, b) {
+  let h = Math.imul(a ^ Math.imul(b, 0x9E3779B1), 0x85EBCA6B)
+  h ^= h >>> 13
+  h = Math.imul(h, 0xC2B2AE35)
+  h ^= h >>> 16
+  return h >>> 0
+}
+
+// ---- L-System Engine ----
+// Rules are a list of { pred, prod, weight }. Several rules may share a predecessor,
+// in which case one production is picked at random, proportional to its weight.
+// Older presets store rules as a plain { char: production } map, so accept that too.
+export function normalizeRules(rules) {
+  if (Array.isArray(rules)) {
+    return rules.map(r => ({ pred: r.pred, prod: r.prod, weight: r.weight ?? 1 }))
+  }
+  return Object.entries(rules || {}).map(([pred, prod]) => ({ pred, prod, weight: 1 }))
+}
+
+// Group compiled rules by predecessor symbol code:
+// { code: [{ index, source, arity, left, right, cond, codes, args, weight }] }
+// where cond and each args[k][n] are compiled expressions over the rule's formals.
+// list holds the same rules by index; source is the rule's place in `rules`, which
+// differs once a rule with no weight has been left out.
+function compileRules(rules) {
+  const table = {}
+  const list = []
+  for (const [source, { pred, prod, weight }] of normalizeRules(rules).entries()) {
+    if (!(weight > 0)) continue
+    try {
+      const { sym, arity, formals, left, right, cond } = parsePredecessor(pred)
+      const succ = parseModules(prod)
+      const compiled = {
+        index: list.length,
+        source,
+        arity,
+        left,
+        right,
+        cond: cond !== null ? compileExpression(cond, formals) : null,
+        codes: toCodes(succ.chars),
+        args: succ.args.map(a => a && a.map(e => compileExpression(e, formals))),
+        weight
+      }
+      const code = sym.charCodeAt(0)
+      if (!table[code]) table[code] = []
+      table[code].push(compiled)
+      list.push(compiled)
+    } catch (err) {
+      throw new Error(`Rule "${pred}": ${err.message}`)
+    }
+  }
+  return { table, list }
+}
+
+const NO_PARAMS = []
+const OPEN = 91 // [
+const CLOSE = 93 // ]
+
+// Index of the matching bracket for every [ and ], -1 for anything else or unbalanced
+function matchBrackets(codes) {
+  const match = new Int32Array(codes.length).fill(-1)
+  const open = []
+  for (let i = 0; i < codes.length; i++) {
+    if (codes[i] === OPEN) open.push(i)
+    else if (codes[i] === CLOSE && open.length) {
+      const o = open.pop()
+      match[o] = i
+      match[i] = o
+    }
+  }
+  return match
+}
+
+// ---- Context Matching ----
+// Follows ABOP: the left context is the path back towards the root, so sibling branches
+// "[...]" are skipped and a "[" steps out to the parent. The right context skips
+// branches the pattern doesn't mention, and a "]" in the pattern skips to the end of
+// the current branch. Symbols in ctx.ignore are transparent on both sides.
+// Both return the bound parameter values in reading order, or null on mismatch.
+function matchLeft(pattern, ctx, j) {
+  const { codes, params, brackets, ignore } = ctx
+  const bound = []
+  let si = j - 1
+  for (let pi = pattern.codes.length - 1; pi >= 0; pi--) {
+    for (;;) {
+      while (si >= 0 && ignore.has(codes[si])) si--
+      if (si < 0) return null
+      if (codes[si] === CLOSE && brackets[si] >= 0) si = brackets[si] - 1
+      else if (codes[si] === OPEN) si--
+      else break
+    }
+    if (codes[si] !== pattern.codes[pi]) return null
+    const p = params ? params[si] : null
+    if ((p ? p.length : 0) !== pattern.arities[pi]) return null
+    if (p) for (let k = p.length - 1; k >= 0; k--) bound.push(p[k])
+    si--
+  }
+  return bound.reverse()
+}
+
+function matchRight(pattern, ctx, j) {
+  const { codes, params, brackets, ignore } = ctx
+  const bound = []
+  let si = j + 1
+  for (let pi = 0; pi < pattern.codes.length; pi++) {
+    const pc = pattern.codes[pi]
+    if (pc === CLOSE) {
+      // Skip whatever is left of the current branch
+      while (si < codes.length && codes[si] !== CLOSE) {
+        si = codes[si] === OPEN && brackets[si] >= 0 ? brackets[si] + 1 : si + 1
+      }
+      if (si >= codes.length) return null
+      si++
+      continue
+    }
+    for (;;) {
+      while (si < codes.length && ignore.has(codes[si])) si++
+      if (si >= codes.length) return null
+      if (codes[si] === OPEN && pc !== OPEN && brackets[si] >= 0) si = brackets[si] + 1
+      else break
+    }
+    if (codes[si] !== pc) return null
+    const p = params ? params[si] : null
+    if ((p ? p.length : 0) !== pattern.arities[pi]) return null
+    if (p) bound.push(...p)
+    si++
+  }
+  return bound
+}
+
+// If the rule applies to the module at j, returns the values for its formals
+// (left context, own and right context parameters); otherwise null.
+function matchRule(rule, ctx, j) {
+  const p = ctx.params ? ctx.params[j] : null
+  if (rule.arity !== (p ? p.length : 0)) return null
+  let env = p || NO_PARAMS
+  if (rule.left || rule.right) {
+    const left = rule.left ? matchLeft(rule.left, ctx, j) : NO_PARAMS
+    if (!left) return null
+    const right = rule.right ? matchRight(rule.right, ctx, j) : NO_PARAMS
+    if (!right) return null
+    env = [...left, ...env, ...right]
+  }
+  if (rule.cond && !rule.cond(env)) return null
+  return env
+}
+
+const CHOICE_SALT = 0x5eed
+
+// Pick the rule that rewrites the module at j. Rules with context take precedence over
+// context-free ones; among the applicable rules one is chosen at random by weight.
+// The random draw hashes the symbol's lineage id with the generation rather than
+// coming from a running PRNG, so it doesn't depend on the order symbols are visited in.
+// Returns { rule, env } or null when nothing applies.
+function selectRule(candidates, ctx, j, id, gen) {
+  if (candidates.length === 1) {
+    const env = matchRule(candidates[0], ctx, j)
+    return env ? { rule: candidates[0], env } : null
+  }
+  let matches = []
+  for (const rule of candidates) {
+    const env = matchRule(rule, ctx, j)
+    if (env) matches.push({ rule, env })
+  }
+  if (matches.some(m => m.rule.left || m.rule.right)) {
+    matches = matches.filter(m => m.rule.left || m.rule.right)
+  }
+  if (matches.length <= 1) return matches[0] || null
+  let total = 0
+  for (const m of matches) total += m.rule.weight
+  let x = hash32(hash32(id, gen + 1), CHOICE_SALT) / 4294967296 * total
+  for (const m of matches) {
+    x -= m.rule.weight
+    if (x < 0) return m
+  }
+  return matches[matches.length - 1]
+}
+
+// A generation is stored as parallel typed arrays, one entry per symbol:
+//   codes   Uint16Array  the symbol's UTF-16 char code
+//   births  Uint16Array  the generation it was "born" in: 0 for the axiom, and when a
+//                        rule expands a symbol its successors get the current gen + 1
+//   lineage Uint32Array  a stable id: axiom symbols hash the seed and their position,
+//                        children hash their parent's id and their position in the
+//                        production, and symbols that aren't rewritten keep their id
+//   params  Array | null one array of numbers (or null) per symbol, parametric grammars only
+//   parents Uint32Array  the index in the previous generation of the symbol each one was
+//                        rewritten from (or copied from); not set on generation 0
+//   rules   Int32Array   the index in rules of the production that wrote the symbol, or
+//                        -1 if it was copied unchanged; not set on generation 0
+// Lineage ids let the turtle derive per-symbol randomness (e.g. twist) that stays put
+// as the plant grows.
+function startGeneration(axiom, seed) {
+  const start = parseModules(axiom)
+  const codes = toCodes(start.chars)
+  const lineage = new Uint32Array(codes.length)
+  for (let j = 0; j < codes.length; j++) lineage[j] = hash32(seed, j + 1)
+  const params = start.args.map(a => a && a.map(e => compileExpression(e)(NO_PARAMS)))
+  return { codes, births: new Uint16Array(codes.length), lineage, params }
+}
+
+// Yields generations 0..iterations one at a time. Only the current generation is held,
+// so a caller that consumes each one and lets it go never has the whole history in memory.
+// options: { seed, ignore } — ignore lists symbols that context matching skips over.
+export function* deriveGenerations(axiom, rules, iterations, { seed = 0, ignore = '' } = {}) {
+  const { table, list } = compileRules(rules)
+  const contextual = list.some(r => r.left || r.right)
+  const ignoreSet = new Set(toCodes(ignore))
+
+  let gen = startGeneration(axiom, seed)
+  const parametric = gen.params.some(p => p) || list.some(r => r.args.some(a => a))
+  if (!parametric) gen.params = null
+  yield gen
+
+  for (let i = 0; i < iterations; i++) {
+    const { codes, births, lineage, params } = gen
+    const ctx = {
+      codes,
+      params,
+      brackets: contextual ? matchBrackets(codes) : null,
+      ignore: ignoreSet
+    }
+
+    // First pass picks each symbol's rule and sizes the next generation, so the second
+    // can fill exactly-sized arrays instead of growing strings and JS arrays.
+    // Only parametric grammars need to keep each match's bound values.
+    const chosen = new Int32Array(codes.length)
+    const envs = parametric ? new Array(codes.length) : null
+    let length = 0
+    for (let j = 0; j < codes.length; j++) {
+      const candidates = table[codes[j]]
+      const match = candidates ? selectRule(candidates, ctx, j, lineage[j], i) : null
+      chosen[j] = match ? match.rule.index : -1
+      if (envs && match) envs[j] = match.env
+      length += match ? match.rule.codes.length : 1
+    }
+
+    const next = {
+      codes: new Uint16Array(length),
+      births: new Uint16Array(length),
+      lineage: new Uint32Array(length),
+      params: parametric ? new Array(length) : null,
+      parents: new Uint32Array(length),
+      rules: new Int32Array(length)
+    }
+    let o = 0
+    for (let j = 0; j < codes.length; j++) {
+      if (chosen[j] >= 0) {
+        const rule = list[chosen[j]]
+        for (let k = 0; k < rule.codes.length; k++, o++) {
+          next.codes[o] = rule.codes[k]
+          next.births[o] = i + 1 // born this generation
+          next.lineage[o] = hash32(lineage[j], k + 1)
+          next.parents[o] = j
+          next.rules[o] = rule.source
+          if (parametric) {
+            const a = rule.args[k]
+            next.params[o] = a ? a.map(e => e(envs[j])) : null
+          }
+        }
+      } else {
+        next.codes[o] = codes[j]
+        next.births[o] = births[j] // inherited from parent
+        next.lineage[o] = lineage[j]
+        next.parents[o] = j
+        next.rules[o] = -1
+        if (parametric) next.params[o] = params[j]
+        o++
+      }
+    }
+    gen = next
+    yield gen
+  }
+}
+
+export function generateAllGenerationsTagged(axiom, rules, iterations, options) {
+  return [...deriveGenerations(axiom, rules, iterations, options)]
+}
+
+export function generateAllGenerations(axiom, rules, iterations, options) {
+  return generateAllGenerationsTagged(axiom, rules, iterations, options).map(generationToString)
+}
+
+export function generateLSystem(axiom, rules, iterations, options) {
+  const gens = generateAllGenerations(axiom, rules, iterations, options)
+  return gens[gens.length - 1]
+}
+
+export function generationToString(gen) {
+  let str = ''
+  for (let i = 0; i < gen.codes.length; i += 8192) {
+    str += String.fromCharCode(...gen.codes.subarray(i, i + 8192))
+  }
+  return str
+}
+
+// ---- Streaming ----
+// Calls visit(code, birth, id, params) for every symbol of generation n in order without
+// building any generation: each axiom symbol is expanded depth-first down to generation n.
+// Memory stays proportional to n, so derivations far too long to hold still interpret.
+// Same symbols, lineage and rule choices as deriveGenerations, but only for context-free
+// grammars, since context needs a symbol's neighbours. Returns the symbol count.
+export function walkGeneration(axiom, rules, n, { seed = 0 } = {}, visit) {
+  const { table, list } = compileRules(rules)
+  if (list.some(r => r.left || r.right)) {
+    throw new Error('Streaming only works for context-free grammars')
+  }
+  const start = startGeneration(axiom, seed)
+  const ctx = { params: [null] }
+  let count = 0
+
+  const expand = (code, birth, id, p, gen) => {
+    // A symbol no rule matches now never will: context-free rules only look at its own
+    // parameters, and those stay the same while it isn't rewritten
+    const candidates = gen < n && table[code]
+    ctx.params[0] = p
+    const match = candidates ? selectRule(candidates, ctx, 0, id, gen) : null
+    if (!match) {
+      visit(code, birth, id, p)
+      count++
+      return
+    }
+    const { rule, env } = match
+    for (let k = 0; k < rule.codes.length; k++) {
+      const a = rule.args[k]
+      expand(rule.codes[k], gen + 1, hash32(id, k + 1), a ? a.map(e => e(env)) : null, gen + 1)
+    }
+  }
+
+  for (let j = 0; j < start.codes.length; j++) {
+    expand(start.codes[j], 0, start.lineage[j], start.params[j], 0)
+  }
+  return count
+}
+
+// ---- Ancestry ----
+// Where symbols came from, read off the parents arrays of derived generations. Each
+// symbol's children sit in one run, in order, so parents never decrease along a generation.
+
+// First index i with array[i] >= value, for arrays in non-decreasing order
+export function lowerBound(array, value) {
+  let lo = 0
+  let hi = array.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (array[mid] < value) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+// The line of symbols that led to symbol `index` of generation n, oldest first: the
+// axiom symbol, then one step per generation the line was rewritten in, as
+// { gen, index, code, rule } with rule the index in rules of the production that wrote
+// it (-1 for the axiom).
+export function traceAncestry(generations, n, index) {
+  const steps = []
+  for (let g = n; g > 0; g--) {
+    const { codes, births, parents, rules } = generations[g]
+    if (births[index] === g) steps.push({ gen: g, index, code: codes[index], rule: rules[index] })
+    index = parents[index]
+  }
+  steps.push({ gen: 0, index, code: generations[0].codes[index], rule: -1 })
+  return steps.reverse()
+}
+
+// [start, end) of the symbols in generation n descended from symbol `index` of
+// generation g, itself included when it's carried along unchanged
+export function descendantRange(generations, g, index, n) {
+  let start = index
+  let end = index + 1
+  for (let k = g + 1; k <= n; k++) {
+    start = lowerBound(generations[k].parents, start)
+    end = lowerBound(generations[k].parents, end)
+  }
+  return [start, end]
+}
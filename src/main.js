@@ -1,156 +1,15 @@
 import * as THREE from 'three'
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
 import Pickr from '@simonwep/pickr'
-
-// ---- L-System Engine ----
-// Each character is tagged with the generation it was "born" in.
-// Gen 0 = axiom chars. When a rule expands a char, the new chars get the current gen+1.
-function generateAllGenerationsTagged(axiom, rules, iterations) {
-  // Each entry: { chars: string, birthGens: Uint8Array }
-  let chars = axiom
-  let births = new Uint8Array(axiom.length) // gen 0
-
-  const gens = [{ chars, births: new Uint8Array(births) }]
-
-  for (let i = 0; i < iterations; i++) {
-    let nextChars = ''
-    const nextBirths = []
-    for (let j = 0; j < chars.length; j++) {
-      const ch = chars[j]
-      const replacement = rules[ch]
-      if (replacement) {
-        nextChars += replacement
-        for (let k = 0; k < replacement.length; k++) {
-          nextBirths.push(i + 1) // born this generation
-        }
-      } else {
-        nextChars += ch
-        nextBirths.push(births[j]) // inherited from parent
-      }
-    }
-    chars = nextChars
-    births = new Uint8Array(nextBirths)
-    gens.push({ chars, births: new Uint8Array(births) })
-  }
-
-  return gens
-}
-
-function generateAllGenerations(axiom, rules, iterations) {
-  return generateAllGenerationsTagged(axiom, rules, iterations).map(g => g.chars)
-}
-
-function generateLSystem(axiom, rules, iterations) {
-  const gens = generateAllGenerations(axiom, rules, iterations)
-  return gens[gens.length - 1]
-}
-
-// ---- Turtle Interpreter ----
-// If birthGens is provided, also outputs segmentBirths (which gen each segment was born in)
-function interpretString(str, angle, len, twist, branchColor, leafColor, birthGens) {
-  const vertices = []
-  const colors = []
-  const segmentBirths = []
-  const stack = []
-
-  let pos = new THREE.Vector3(0, 0, 0)
-  let quat = new THREE.Quaternion()
-  const up = new THREE.Vector3(0, 1, 0)
-
-  const branchC = new THREE.Color(branchColor)
-  const leafC = new THREE.Color(leafColor)
-
-  const rad = angle * Math.PI / 180
-  let charIdx = 0
-
-  for (let i = 0; i < str.length; i++) {
-    const ch = str[i]
-    const birth = birthGens ? birthGens[i] : 0
-
-    switch (ch) {
-      case 'F':
-      case 'A':
-      case 'B': {
-        const dir = up.clone().applyQuaternion(quat).multiplyScalar(len)
-        const newPos = pos.clone().add(dir)
-        vertices.push(pos.x, pos.y, pos.z, newPos.x, newPos.y, newPos.z)
-        const c = (ch === 'F' || ch === 'A') ? branchC : leafC
-        colors.push(c.r, c.g, c.b, c.r, c.g, c.b)
-        segmentBirths.push(birth)
-        pos = newPos
-        break
-      }
-      case 'X': {
-        const dir1 = up.clone().applyQuaternion(quat)
-        const left = new THREE.Vector3(1, 0, 0).applyQuaternion(quat)
-        const leafLen = len * 0.5
-        const tip1 = pos.clone().add(dir1.clone().multiplyScalar(leafLen)).add(left.clone().multiplyScalar(leafLen * 0.3))
-        const tip2 = pos.clone().add(dir1.clone().multiplyScalar(leafLen)).sub(left.clone().multiplyScalar(leafLen * 0.3))
-        vertices.push(pos.x, pos.y, pos.z, tip1.x, tip1.y, tip1.z)
-        vertices.push(pos.x, pos.y, pos.z, tip2.x, tip2.y, tip2.z)
-        colors.push(leafC.r, leafC.g, leafC.b, leafC.r, leafC.g, leafC.b)
-        colors.push(leafC.r, leafC.g, leafC.b, leafC.r, leafC.g, leafC.b)
-        segmentBirths.push(birth)
-        segmentBirths.push(birth)
-        break
-      }
-      case '+': {
-        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -rad)
-        quat.multiply(q)
-        if (twist > 0) {
-          const yRot = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.random() * twist * Math.PI)
-          quat.multiply(yRot)
-        }
-        break
-      }
-      case '-': {
-        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), rad)
-        quat.multiply(q)
-        if (twist > 0) {
-          const yRot = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.random() * twist * Math.PI)
-          quat.multiply(yRot)
-        }
-        break
-      }
-      case '^': { // Pitch up (rotate around X)
-        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), rad)
-        quat.multiply(q)
-        break
-      }
-      case '&': { // Pitch down (rotate around X, opposite)
-        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -rad)
-        quat.multiply(q)
-        break
-      }
-      case '\\': { // Roll left (rotate around Y)
-        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), rad)
-        quat.multiply(q)
-        break
-      }
-      case '/': { // Roll right (rotate around Y, opposite)
-        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -rad)
-        quat.multiply(q)
-        break
-      }
-      case '[':
-        stack.push({ pos: pos.clone(), quat: quat.clone() })
-        break
-      case ']':
-        if (stack.length > 0) {
-          const state = stack.pop()
-          pos = state.pos
-          quat = state.quat
-        }
-        break
-    }
-  }
-
-  return {
-    vertices: new Float32Array(vertices),
-    colors: new Float32Array(colors),
-    segmentBirths: new Uint8Array(segmentBirths)
-  }
-}
+import { normalizeRules, traceAncestry, descendantRange, lowerBound, generationToString } from './lsystem.js'
+import { TURTLE_COMMANDS, SYMBOL_ACTIONS } from './turtle.js'
+import { buildTubeArrays, updateTubeShape, tubeRadial, createTubeMesh, createExtras } from './model.js'
+import { colorSegments, birthPalette } from './colors.js'
+import { toOBJ, toSTL, toGLB, buildSVG, projectPlane, cameraProjector, renderPNG, fitPNGSize, PNG_MAX_SIDE, downloadBlob } from './export.js'
+import { parseGrammar, formatGrammar } from './grammar-text.js'
+import { diagnoseGrammar } from './diagnostics.js'
+import { encodeState, decodeState, serializeLibrary, parseLibrary, mergeLibrary, uniqueName, PRESET_DEFAULTS, withDefaults, presetFromParams } from './presets.js'
+import { mutateParams } from './mutate.js'
 
 // ---- Three.js Scene ----
 const container = document.getElementById('canvas-container')
@@ -176,7 +35,16 @@ scene.add(grid)
 // Ambient light
 scene.add(new THREE.AmbientLight(0xffffff, 0.5))
 
+// Key and fill lights — only the lit tube material responds to these
+const keyLight = new THREE.DirectionalLight(0xffffff, 1.6)
+keyLight.position.set(60, 120, 80)
+scene.add(keyLight)
+const fillLight = new THREE.DirectionalLight(0xffffff, 0.5)
+fillLight.position.set(-80, 40, -60)
+scene.add(fillLight)
+
 let currentMesh = null
+let currentExtras = null // polygons and shape instances that go with currentMesh
 
 // ---- Presets ----
 const PRESETS = {
@@ -184,7 +52,8 @@ const PRESETS = {
     axiom: 'X',
     rules: { X: 'F-[[X]+X]+F[+FX]-X', F: 'FF' },
     angle: 25, iterations: 5, length: 3, twist: 0.5,
-    branchColor: '#D2A679', leafColor: '#006600'
+    symbols: { F: 'draw', X: 'shape:leaf' },
+    branchColor: '#D2A679', leafColor: '#2E8B22'
   },
   'Fractal Weed': {
     axiom: 'X',
@@ -202,7 +71,9 @@ const PRESETS = {
     axiom: 'FX',
     rules: { X: 'X+YF+', Y: '-FX-Y' },
     angle: 90, iterations: 12, length: 2, twist: 0,
-    branchColor: '#FF6B6B', leafColor: '#FF6B6B'
+    symbols: { F: 'draw' },
+    branchColor: '#FF6B6B', leafColor: '#FF6B6B',
+    colorMode: 'distance', gradient: ['#FF6B6B', '#FFD93D', '#6BCB77', '#4D96FF']
   },
   'Koch Snowflake': {
     axiom: 'F++F++F',
@@ -210,22 +81,73 @@ const PRESETS = {
     angle: 60, iterations: 4, length: 2, twist: 0,
     branchColor: '#87CEEB', leafColor: '#87CEEB'
   },
+  'Parametric Tree': {
+    axiom: 'A(10)',
+    rules: [
+      { pred: 'A(l) : l>1', prod: 'F(l)[&(35)A(l*0.75)]/(137.5)[&(25)A(l*0.65)]', weight: 1 }
+    ],
+    angle: 30, iterations: 9, length: 2, twist: 0,
+    branchColor: '#C19A6B', leafColor: '#228B22'
+  },
+  'Hogeweg Plant': {
+    axiom: 'F1F1F1',
+    rules: [
+      { pred: '0 < 0 > 0', prod: '0' },
+      { pred: '0 < 0 > 1', prod: '1[+F1F1]' },
+      { pred: '0 < 1 > 0', prod: '1' },
+      { pred: '0 < 1 > 1', prod: '1' },
+      { pred: '1 < 0 > 0', prod: '0' },
+      { pred: '1 < 0 > 1', prod: '1F1' },
+      { pred: '1 < 1 > 0', prod: '0' },
+      { pred: '1 < 1 > 1', prod: '0' },
+      { pred: '+', prod: '-' },
+      { pred: '-', prod: '+' }
+    ],
+    angle: 22.5, iterations: 30, length: 2, twist: 0, ignore: '+-F',
+    branchColor: '#9ACD32', leafColor: '#9ACD32'
+  },
+  'Stochastic Weed': {
+    axiom: 'F',
+    rules: [
+      { pred: 'F', prod: 'F[+F]F[-F]F', weight: 0.33 },
+      { pred: 'F', prod: 'F[+F]F', weight: 0.33 },
+      { pred: 'F', prod: 'F[-F]F', weight: 0.34 }
+    ],
+    angle: 25.7, iterations: 5, length: 2, twist: 0, seed: 1,
+    branchColor: '#8FBC8F', leafColor: '#8FBC8F'
+  },
   'Bush': {
     axiom: 'F',
-    rules: { F: 'FF+[+F-F-F]-[-F+F+F]' },
+    rules: {
+      F: 'FF+[+F-F-FL]-[-F+F+FK]',
+      L: "['{+f(1)-f(1)f(1)-f(1)+|+f(1)-f(1)f(1)-f(1)}]"
+    },
     angle: 22.5, iterations: 4, length: 3, twist: 0.2,
-    branchColor: '#6B8E23', leafColor: '#32CD32'
+    symbols: { F: 'draw', f: 'move', K: 'shape:flower' },
+    branchColor: '#6B8E23', leafColor: '#32CD32', flowerColor: '#F8C8DC'
+  },
+  'Weeping Tree': {
+    axiom: 'FFFFA',
+    rules: { A: 'F[&FAL]/////[&FAL]///////[&FAL]' },
+    angle: 30, iterations: 6, length: 2, twist: 0,
+    tropism: [0, -1, 0], susceptibility: 0.14,
+    lengthJitter: 0.15, angleJitter: 8, jitterDistribution: 'gaussian',
+    symbols: { F: 'draw', L: 'shape:leaf' },
+    branchColor: '#8B7355', leafColor: '#6B8E23'
   },
   'Hilbert': {
     axiom: 'X',
     rules: { X: '-YF+XFX+FY-', Y: '+XF-YFY-FX+' },
     angle: 90, iterations: 6, length: 2, twist: 0,
-    branchColor: '#9370DB', leafColor: '#9370DB'
+    symbols: { F: 'draw' },
+    branchColor: '#9370DB', leafColor: '#9370DB',
+    colorMode: 'distance', gradient: ['#9370DB', '#4DD0E1']
   },
   'Hilbert Cube': {
     axiom: 'X',
     rules: { X: '^\\XF^\\XFX-F^//XFX&F+//XFX-F/X-/' },
     angle: 90, iterations: 3, length: 4, twist: 0,
+    symbols: { F: 'draw' },
     branchColor: '#E040FB', leafColor: '#7C4DFF'
   },
   'Levy Curve': {
@@ -243,65 +165,257 @@ const PRESETS = {
 }
 
 // ---- Color Pickers ----
+const PICKR_COMPONENTS = {
+  preview: true,
+  opacity: false,
+  hue: true,
+  interaction: { hex: true, input: true, save: true }
+}
+
 function createPicker(elId, defaultColor) {
   const pickr = Pickr.create({
     el: `#${elId}-picker`,
     theme: 'nano',
     default: defaultColor,
-    components: {
-      preview: true,
-      opacity: false,
-      hue: true,
-      interaction: { hex: true, input: true, save: true }
-    }
+    components: PICKR_COMPONENTS
   })
   pickr.on('save', (color) => {
     const hex = color.toHEXA().toString()
     document.getElementById(`${elId}-hex`).textContent = hex
     pickr.hide()
+    scheduleHistory()
   })
   return pickr
 }
 
 const branchPickr = createPicker('branchColor', '#D2A679')
 const leafPickr = createPicker('leafColor', '#006600')
+const flowerPickr = createPicker('flowerColor', PRESET_DEFAULTS.flowerColor)
+
+// Gradient stops for the Color By modes, one picker each. Saving a stop recolors
+// the current plant straight away. The stops are kept as hex strings rather than read
+// back from the pickers: a new Pickr only takes on its default color a frame later.
+let gradientPickrs = []
+let gradientStops = []
+
+function addGradientStop(color) {
+  const el = document.createElement('div')
+  document.getElementById('gradient').appendChild(el)
+  const pickr = Pickr.create({ el, theme: 'nano', default: color, components: PICKR_COMPONENTS })
+  const index = gradientPickrs.length
+  pickr.on('save', (saved) => {
+    if (saved) gradientStops[index] = saved.toHEXA().toString()
+    pickr.hide()
+    window.setColorMode()
+    scheduleHistory()
+  })
+  gradientPickrs.push(pickr)
+  gradientStops.push(color)
+}
+
+function setGradient(colors) {
+  for (const pickr of gradientPickrs) pickr.destroyAndRemove()
+  gradientPickrs = []
+  gradientStops = []
+  for (const c of colors) addGradientStop(c)
+}
+
+function getGradient() {
+  return [...gradientStops]
+}
+
+window.addGradientStop = function () {
+  const stops = getGradient()
+  addGradientStop(stops[stops.length - 1])
+  window.setColorMode()
+  scheduleHistory()
+}
+
+window.removeGradientStop = function () {
+  if (gradientPickrs.length <= 2) return
+  gradientPickrs.pop().destroyAndRemove()
+  gradientStops.pop()
+  window.setColorMode()
+  scheduleHistory()
+}
 
 // ---- UI ----
 function loadPreset(name) {
-  const p = PRESETS[name]
+  applyPreset(PRESETS[name])
+}
+
+// Fill every control from a preset (built-in, saved, imported or from a link) and render.
+// Loading is one undoable step.
+function applyPreset(p) {
+  recordHistory()
+  setControls(p)
+  render()
+}
+
+function setControls(preset) {
+  const p = withDefaults(preset)
   document.getElementById('axiom').value = p.axiom
   document.getElementById('angle').value = p.angle
   document.getElementById('iterations').value = p.iterations
   document.getElementById('length').value = p.length
   document.getElementById('twist').value = p.twist
+  document.getElementById('seed').value = p.seed
+  document.getElementById('ignore').value = p.ignore
+  document.getElementById('width').value = p.width
+  document.getElementById('widthDecay').value = p.widthDecay
+  document.getElementById('thickness').value = p.thickness
+  document.getElementById('tropism-x').value = p.tropism[0]
+  document.getElementById('tropism-y').value = p.tropism[1]
+  document.getElementById('tropism-z').value = p.tropism[2]
+  document.getElementById('susceptibility').value = p.susceptibility
+  document.getElementById('length-jitter').value = p.lengthJitter
+  document.getElementById('angle-jitter').value = p.angleJitter
+  document.getElementById('jitter-distribution').value = p.jitterDistribution
   branchPickr.setColor(p.branchColor)
   document.getElementById('branchColor-hex').textContent = p.branchColor
   leafPickr.setColor(p.leafColor)
   document.getElementById('leafColor-hex').textContent = p.leafColor
+  flowerPickr.setColor(p.flowerColor)
+  document.getElementById('flowerColor-hex').textContent = p.flowerColor
+  document.getElementById('color-mode').value = p.colorMode
+  document.getElementById('color-blend').value = p.colorBlend
+  setGradient(p.gradient)
+
+  setRuleRows(p.rules)
+  setSymbolRows(p.symbols)
+  if (grammarTextMode) showGrammarText()
+}
 
-  // Set rules
-  const rulesDiv = document.getElementById('rules')
-  rulesDiv.innerHTML = ''
-  for (const [key, val] of Object.entries(p.rules)) {
-    addRuleRow(key, val)
-  }
+// Rows are built with DOM properties rather than HTML, since their values can come from
+// shared links and imported files
+function textInput(value, placeholder) {
+  const input = document.createElement('input')
+  input.type = 'text'
+  input.value = value
+  input.placeholder = placeholder
+  return input
+}
 
-  render()
+function removeButton() {
+  const button = document.createElement('button')
+  button.textContent = '×'
+  button.onclick = () => button.parentElement.remove()
+  return button
 }
 
-function addRuleRow(char = '', production = '') {
+function addRuleRow(char = '', production = '', weight = 1) {
   const div = document.createElement('div')
   div.className = 'rule-row'
-  div.innerHTML = `
-    <input type="text" value="${char}" maxlength="1" placeholder="X">
-    <input type="text" value="${production}" placeholder="F+[X]-X">
-    <button onclick="this.parentElement.remove()">×</button>
-  `
+  const pred = textInput(char, 'X')
+  pred.oninput = () => fitPredecessor(pred)
+  const weightInput = document.createElement('input')
+  weightInput.type = 'number'
+  weightInput.className = 'rule-weight'
+  weightInput.value = weight
+  weightInput.min = '0'
+  weightInput.step = '0.01'
+  weightInput.title = 'Weight (rules sharing a predecessor are picked at random by weight)'
+  div.append(pred, textInput(production, 'F+[X]-X'), weightInput, removeButton())
   document.getElementById('rules').appendChild(div)
+  fitPredecessor(pred)
+}
+
+// Predecessors are usually one symbol, but parametric ones like "A(t) : t>2" need room
+function fitPredecessor(input) {
+  input.style.width = `${Math.min(160, Math.max(50, input.value.length * 9 + 24))}px`
+}
+
+function setRuleRows(rules) {
+  document.getElementById('rules').innerHTML = ''
+  for (const r of normalizeRules(rules)) addRuleRow(r.pred, r.prod, r.weight)
 }
 
 window.addRule = () => addRuleRow()
 
+function addSymbolRow(char = '', value = 'draw') {
+  const div = document.createElement('div')
+  div.className = 'symbol-row'
+  const input = textInput(char, 'F')
+  input.maxLength = 1
+  const select = document.createElement('select')
+  // Values the turtle understands but the list doesn't name, e.g. draw:2, stay as they are
+  const actions = SYMBOL_ACTIONS.some(a => a.value === value) ? SYMBOL_ACTIONS : [...SYMBOL_ACTIONS, { value, label: value }]
+  for (const a of actions) {
+    const option = document.createElement('option')
+    option.value = a.value
+    option.textContent = a.label
+    option.selected = a.value === value
+    select.appendChild(option)
+  }
+  div.append(input, select, removeButton())
+  document.getElementById('symbols').appendChild(div)
+}
+
+function setSymbolRows(symbols) {
+  document.getElementById('symbols').innerHTML = ''
+  for (const [ch, value] of Object.entries(symbols)) addSymbolRow(ch, value)
+}
+
+window.addSymbol = () => addSymbolRow()
+
+// ---- Grammar Text Mode ----
+// The axiom and rule rows can be swapped for one text editor in ABOP/L-Py notation.
+// The text is parsed back into the controls on switching to rows and before rendering,
+// unless it hasn't changed since, so edits made meanwhile to e.g. Iterations stick.
+let grammarTextMode = false
+let appliedGrammarText = ''
+
+// getParams() key -> input id, for the settings a grammar text can carry
+const GRAMMAR_FIELDS = { iterations: 'iterations', angle: 'angle', len: 'length', twist: 'twist', seed: 'seed', ignore: 'ignore' }
+
+function showGrammarText() {
+  appliedGrammarText = formatGrammar(getParams())
+  document.getElementById('grammar-text').value = appliedGrammarText
+  document.getElementById('grammar-error').textContent = ''
+}
+
+// Returns false, with the error shown and the offending line selected, if it doesn't parse
+function applyGrammarText() {
+  const textarea = document.getElementById('grammar-text')
+  const text = textarea.value
+  if (text === appliedGrammarText) return true
+  let grammar
+  try {
+    grammar = parseGrammar(text)
+  } catch (err) {
+    document.getElementById('grammar-error').textContent = err.message
+    if (err.line) {
+      const lines = text.split('\n')
+      const lineStart = lines.slice(0, err.line - 1).reduce((sum, l) => sum + l.length + 1, 0)
+      textarea.focus()
+      textarea.setSelectionRange(lineStart + err.column - 1, lineStart + lines[err.line - 1].length)
+    }
+    return false
+  }
+  document.getElementById('axiom').value = grammar.axiom
+  setRuleRows(grammar.rules)
+  for (const [key, id] of Object.entries(GRAMMAR_FIELDS)) {
+    if (grammar[key] !== undefined) document.getElementById(id).value = grammar[key]
+  }
+  appliedGrammarText = text
+  document.getElementById('grammar-error').textContent = ''
+  return true
+}
+
+window.toggleGrammarText = function () {
+  if (grammarTextMode && !applyGrammarText()) return
+  grammarTextMode = !grammarTextMode
+  if (grammarTextMode) showGrammarText()
+  document.getElementById('grammar-editor').hidden = !grammarTextMode
+  for (const id of ['axiom-field', 'rules', 'add-rule']) document.getElementById(id).hidden = grammarTextMode
+  document.getElementById('grammar-mode').textContent = grammarTextMode ? 'Rows' : 'Text'
+}
+
+window.randomizeSeed = function () {
+  document.getElementById('seed').value = Math.floor(Math.random() * 100000)
+  render()
+}
+
 // Render built-in presets as chips
 const presetsDiv = document.getElementById('presets')
 for (const name of Object.keys(PRESETS)) {
@@ -309,6 +423,15 @@ for (const name of Object.keys(PRESETS)) {
   btn.className = 'preset'
   btn.textContent = name
   btn.onclick = () => loadPreset(name)
+  const dup = document.createElement('button')
+  dup.className = 'duplicate-preset'
+  dup.textContent = '⧉'
+  dup.title = 'Duplicate to my presets'
+  dup.onclick = (e) => {
+    e.stopPropagation()
+    duplicatePreset(name, PRESETS[name])
+  }
+  btn.appendChild(dup)
   presetsDiv.appendChild(btn)
 }
 
@@ -318,41 +441,106 @@ let cachedGenerations = null
 let cachedGeometries = null // pre-rendered geometries for each gen
 let currentGenIndex = 0
 let isPlaying = false
-let drawProgress = null // { startTime, duration, totalSegments, genIndex }
+let drawProgress = null // { startTime, duration, totalSegments, genIndex, pose (botanical only) }
 let growthMode = true   // true = growth animation, false = instant
+let growthStyle = 'pen' // 'pen' = draw along turtle order, 'botanical' = sprout from the previous gen
 let autoFrame = true    // true = auto-center camera on each gen
+let renderMode = 'lines' // 'lines' = 1px line segments, 'tubes' = lit tube mesh
+let cachedSettings = null // params the cached geometries were generated with
 
-function preRenderAllGenerations(taggedGens, angle, len, twist, branchColor, leafColor) {
-  return taggedGens.map(gen => {
-    if (gen.chars.length > 5000000) return null
-    return interpretString(gen.chars, angle, len, twist, branchColor, leafColor, gen.births)
-  })
+// Tube arrays are built the first time a generation is shown as tubes, then kept with it
+function getTubeArrays(data) {
+  if (!data.tubes) data.tubes = buildTubeArrays(data, cachedSettings, tubeRadial(data))
+  return data.tubes
 }
 
-function showGeometry(data, genIndex, totalGens, segmentCount) {
+// Segment colors follow the Color By mode. The turtle's own colors are kept in
+// data.symbolColors, so switching modes never needs a regenerate.
+function applyColorMode(data) {
+  const { colorMode, colorBlend, gradient } = getColoring()
+  const key = `${colorMode} ${colorBlend} ${gradient.join(' ')}`
+  if (data.colorKey === key) return
+  if (!data.symbolColors) data.symbolColors = data.colors
+  data.colors = colorMode === 'symbol'
+    ? data.symbolColors
+    : colorSegments(data, { mode: colorMode, blend: colorBlend, gradient }, cachedGeometries.length - 1)
+  data.colorKey = key
+  data.tubes = null
+}
+
+// Lines or tubes for one generation. userData.unitsPerSegment converts a segment count
+// into a draw range: 2 vertices per line segment, or the tube's indices per segment.
+function createMesh(data, mode = renderMode) {
+  applyColorMode(data)
+  let mesh
+  if (mode === 'tubes') {
+    mesh = createTubeMesh(getTubeArrays(data))
+  } else {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(data.vertices, 3))
+    geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3))
+    const material = new THREE.LineBasicMaterial({ vertexColors: true })
+    mesh = new THREE.LineSegments(geometry, material)
+    mesh.userData.unitsPerSegment = 2
+  }
+  mesh.name = 'branches'
+  return mesh
+}
+
+// Show only the polygons and shapes placed before the first `segments` segments
+function revealExtras(segments) {
+  if (!currentExtras) return
+  for (const mesh of currentExtras.children) {
+    const order = mesh.userData.order
+    // order is non-decreasing, so binary search for the cut-off
+    let n = 0
+    let hi = order.length
+    while (n < hi) {
+      const mid = (n + hi) >> 1
+      if (order[mid] <= segments) n = mid + 1
+      else hi = mid
+    }
+    if (mesh.isInstancedMesh) mesh.count = n
+    else mesh.geometry.setDrawRange(0, n * 3)
+  }
+}
+
+function removeCurrentMesh() {
+  removeHighlightMesh()
   if (currentMesh) {
     scene.remove(currentMesh)
     currentMesh.geometry.dispose()
     currentMesh.material.dispose()
     currentMesh = null
   }
+  if (currentExtras) {
+    scene.remove(currentExtras)
+    for (const mesh of currentExtras.children) {
+      if (!mesh.userData.sharedGeometry) mesh.geometry.dispose()
+      if (mesh.isInstancedMesh) mesh.dispose()
+    }
+    if (currentExtras.children.length) currentExtras.children[0].material.dispose()
+    currentExtras = null
+  }
+}
 
-  if (!data) return
-
-  const geometry = new THREE.BufferGeometry()
-  geometry.setAttribute('position', new THREE.BufferAttribute(data.vertices, 3))
-  geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3))
+function showGeometry(data, genIndex, totalGens, segmentCount) {
+  removeCurrentMesh()
 
-  const totalVerts = data.vertices.length / 3
-  if (segmentCount !== undefined && segmentCount < totalVerts) {
-    geometry.setDrawRange(0, segmentCount)
-  }
+  if (!data) return
 
-  const material = new THREE.LineBasicMaterial({ vertexColors: true })
-  currentMesh = new THREE.LineSegments(geometry, material)
+  currentMesh = createMesh(data)
   scene.add(currentMesh)
+  currentExtras = createExtras(data)
+  if (currentExtras) scene.add(currentExtras)
+  if (segmentCount !== undefined) {
+    currentMesh.geometry.setDrawRange(0, segmentCount * currentMesh.userData.unitsPerSegment)
+    revealExtras(segmentCount)
+  }
+  if (highlight?.data === data) highlightSegments(data, highlight.mask)
+  else if (highlight) clearSelection()
 
-  return geometry
+  return currentMesh.geometry
 }
 
 function centerCamera(data) {
@@ -387,6 +575,7 @@ function updateUI(genIndex, totalGens, segments, extra) {
   }
   const label = document.getElementById('gen-label')
   if (label) label.textContent = `${genIndex} / ${totalGens - 1}`
+  showDerivation(genIndex)
 }
 
 function getParams() {
@@ -395,18 +584,57 @@ function getParams() {
   const iterations = parseInt(document.getElementById('iterations').value)
   const len = parseFloat(document.getElementById('length').value)
   const twist = parseFloat(document.getElementById('twist').value)
+  const seed = parseInt(document.getElementById('seed').value) || 0
+  const width = parseFloat(document.getElementById('width').value)
+  const widthDecay = parseFloat(document.getElementById('widthDecay').value)
+  const thickness = document.getElementById('thickness').value
+  const tropism = ['x', 'y', 'z'].map(axis => parseFloat(document.getElementById(`tropism-${axis}`).value) || 0)
+  const susceptibility = parseFloat(document.getElementById('susceptibility').value) || 0
+  const lengthJitter = Math.max(0, parseFloat(document.getElementById('length-jitter').value) || 0)
+  const angleJitter = Math.max(0, parseFloat(document.getElementById('angle-jitter').value) || 0)
+  const jitterDistribution = document.getElementById('jitter-distribution').value
+  const ignore = document.getElementById('ignore').value.replace(/\s/g, '')
   const branchColor = branchPickr.getColor().toHEXA().toString()
   const leafColor = leafPickr.getColor().toHEXA().toString()
+  const flowerColor = flowerPickr.getColor().toHEXA().toString()
+  const { colorMode, colorBlend, gradient } = getColoring()
+
+  const rules = getRuleRows()
+    .filter(r => r.pred && r.prod)
+    .map(({ pred, prod, weight }) => ({ pred, prod, weight }))
+
+  const symbols = {}
+  document.querySelectorAll('.symbol-row').forEach(row => {
+    const char = row.querySelector('input').value.trim()
+    if (char && !TURTLE_COMMANDS.includes(char)) symbols[char] = row.querySelector('select').value
+  })
 
-  const rules = {}
-  document.querySelectorAll('.rule-row').forEach(row => {
-    const inputs = row.querySelectorAll('input')
-    const char = inputs[0].value.trim()
-    const prod = inputs[1].value.trim()
-    if (char && prod) rules[char] = prod
+  return {
+    axiom, angle, iterations, len, twist, seed, ignore, width, widthDecay, thickness,
+    tropism, susceptibility, lengthJitter, angleJitter, jitterDistribution,
+    branchColor, leafColor, flowerColor, colorMode, colorBlend, gradient, rules, symbols
+  }
+}
+
+// Every rule row as typed, empty ones included, with its element
+function getRuleRows() {
+  return [...document.querySelectorAll('.rule-row')].map(el => {
+    const inputs = el.querySelectorAll('input')
+    const weight = parseFloat(inputs[2].value)
+    return { pred: inputs[0].value.trim(), prod: inputs[1].value.trim(), weight: isNaN(weight) ? 1 : weight, el }
   })
+}
+
+function getBudget() {
+  return Math.max(16, parseFloat(document.getElementById('budget').value) || 512) * 1048576
+}
 
-  return { axiom, angle, iterations, len, twist, branchColor, leafColor, rules }
+function getColoring() {
+  return {
+    colorMode: document.getElementById('color-mode').value,
+    colorBlend: document.getElementById('color-blend').value,
+    gradient: getGradient()
+  }
 }
 
 // ---- Render (show final) ----
@@ -420,29 +648,95 @@ function hideSidebarOnMobile() {
   }
 }
 
+// Derivation and interpretation run in a worker so big grammars don't freeze the tab.
+// Starting a new render, or Cancel, terminates the one in flight.
+let activeWorker = null
+const BUDGET_KEY = 'lsystem-lab-memory-budget'
+
+function finishWorker() {
+  if (activeWorker) activeWorker.terminate()
+  activeWorker = null
+  document.getElementById('progress').hidden = true
+}
+
+function setProgress(fraction) {
+  document.getElementById('progress-bar').style.width = `${Math.round(fraction * 100)}%`
+}
+
 window.render = function () {
+  if (grammarTextMode && !applyGrammarText()) return
+  thumbnailFor = null
+  exitSweep()
   stopAnimation()
   hideSidebarOnMobile()
-  const { axiom, angle, iterations, len, twist, branchColor, leafColor, rules } = getParams()
+  recordHistory()
+  const params = getParams()
+  shareState(params)
 
   const t0 = performance.now()
-  const taggedGens = generateAllGenerationsTagged(axiom, rules, iterations)
-  cachedGenerations = taggedGens.map(g => g.chars)
-  cachedGeometries = preRenderAllGenerations(taggedGens, angle, len, twist, branchColor, leafColor)
-  const t1 = performance.now()
+  const message = { params, budget: getBudget(), stream: document.getElementById('stream').checked }
+  runWorker(message, (gen, total) => `Generating ${gen}/${total}…`, params.iterations, msg => {
+    showResults(msg, params, performance.now() - t0)
+  })
+}
 
-  const lastData = cachedGeometries[cachedGeometries.length - 1]
-  if (!lastData) {
-    document.getElementById('stats').textContent = `⚠️ Too complex. Try fewer iterations.`
-    return
+// Starts a fresh worker on message, with progress in the sidebar. progressText(gen, total)
+// labels each step; onDone gets the 'done' message, errors are shown in the stats line.
+function runWorker(message, progressText, total, onDone) {
+  finishWorker()
+  const stats = document.getElementById('stats')
+  const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })
+  activeWorker = worker
+  document.getElementById('progress').hidden = false
+  setProgress(0)
+  stats.textContent = progressText(0, total)
+
+  worker.onmessage = ({ data: msg }) => {
+    if (msg.type === 'progress') {
+      setProgress((msg.gen + 1) / (msg.total + 1))
+      stats.textContent = progressText(msg.gen, msg.total)
+      return
+    }
+    finishWorker()
+    if (msg.type === 'error') {
+      stats.textContent = `⚠️ ${msg.message}`
+      return
+    }
+    onDone(msg)
+  }
+  worker.onerror = (e) => {
+    e.preventDefault()
+    finishWorker()
+    stats.textContent = '⚠️ Generation failed, most likely out of memory. Lower the iterations or the memory budget.'
   }
+  worker.postMessage(message)
+}
+
+window.cancelRender = function () {
+  finishWorker()
+  document.getElementById('stats').textContent = 'Cancelled.'
+}
+
+window.saveBudget = function () {
+  localStorage.setItem(BUDGET_KEY, document.getElementById('budget').value)
+}
 
+function showResults({ generations, geometries, warning }, params, elapsed) {
+  cachedGenerations = generations
+  cachedGeometries = geometries
+  cachedSettings = params
+
+  const lastData = cachedGeometries[cachedGeometries.length - 1]
   currentGenIndex = cachedGenerations.length - 1
   showGeometry(lastData, currentGenIndex, cachedGenerations.length)
   if (autoFrame) centerCamera(lastData)
 
   const segments = lastData.vertices.length / 6
-  updateUI(currentGenIndex, cachedGenerations.length, segments, `Precomputed in ${(t1 - t0).toFixed(0)}ms`)
+  addSnapshot(params, currentGenIndex, segments)
+  updateThumbnail()
+  const notice = linkError ?? warning
+  linkError = null
+  updateUI(currentGenIndex, cachedGenerations.length, segments, notice ? `⚠️ ${notice}` : `Precomputed in ${elapsed.toFixed(0)}ms`)
 
   // Show animation section
   document.getElementById('anim-section').style.display = ''
@@ -452,6 +746,874 @@ window.render = function () {
   document.getElementById('gen-label').textContent = `${currentGenIndex} / ${cachedGenerations.length - 1}`
 }
 
+// ---- Diagnostics ----
+// Re-checked shortly after any edit in the sidebar, so problems show before Generate
+const DIAGNOSTIC_ICONS = { error: '⛔', warning: '⚠️', info: 'ℹ️' }
+const compactNumber = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 })
+let diagnosticsTimer = null
+
+function scheduleDiagnostics() {
+  clearTimeout(diagnosticsTimer)
+  diagnosticsTimer = setTimeout(updateDiagnostics, 200)
+}
+
+function updateDiagnostics() {
+  const rows = getRuleRows()
+  const { axiom, symbols, iterations } = getParams()
+  const { problems, counts } = diagnoseGrammar({ axiom, rows, symbols, iterations, budget: getBudget() })
+
+  rows.forEach(({ el }, i) => {
+    const levels = problems.filter(p => p.row === i).map(p => p.level)
+    el.classList.toggle('row-error', levels.includes('error'))
+    el.classList.toggle('row-warning', !levels.includes('error') && levels.includes('warning'))
+  })
+
+  const panel = document.getElementById('diagnostics')
+  panel.innerHTML = ''
+  for (const p of problems) {
+    const div = document.createElement('div')
+    div.className = `diagnostic diagnostic-${p.level}`
+    div.textContent = `${DIAGNOSTIC_ICONS[p.level]} ${p.message}`
+    if (p.row >= 0 && !grammarTextMode) {
+      div.classList.add('diagnostic-link')
+      div.onclick = () => rows[p.row].el.querySelector('input').focus()
+    }
+    panel.appendChild(div)
+  }
+  const shown = counts.length > 10 ? [...counts.slice(0, 4), null, ...counts.slice(-4)] : counts
+  const estimate = document.createElement('div')
+  estimate.className = 'info'
+  estimate.textContent = `Estimated symbols per generation: ${shown.map(c => c === null ? '…' : compactNumber.format(Math.round(c))).join(' → ')}`
+  panel.appendChild(estimate)
+}
+
+document.getElementById('sidebar').addEventListener('input', scheduleDiagnostics)
+document.getElementById('sidebar').addEventListener('change', scheduleDiagnostics)
+// Rows added, removed or replaced by a preset don't fire input events
+const rowObserver = new MutationObserver(scheduleDiagnostics)
+rowObserver.observe(document.getElementById('rules'), { childList: true })
+rowObserver.observe(document.getElementById('symbols'), { childList: true })
+
+// ---- Undo History ----
+// Snapshots of every editable control, as presets with the rule rows kept as typed.
+// Edits are recorded a moment after they stop (so a burst of typing is one step), and
+// before anything replaces them wholesale: loading a preset, undo itself, Generate.
+// Undo and redo restore the controls without regenerating.
+const HISTORY_LIMIT = 100
+const undoStack = []
+const redoStack = []
+let historyState = null
+let historyTimer = null
+
+function editorState() {
+  const preset = presetFromParams(getParams())
+  preset.rules = getRuleRows().map(({ pred, prod, weight }) => ({ pred, prod, weight }))
+  return JSON.stringify(preset)
+}
+
+function recordHistory() {
+  clearTimeout(historyTimer)
+  const state = editorState()
+  if (state === historyState) return
+  if (historyState !== null) {
+    undoStack.push(historyState)
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift()
+    redoStack.length = 0
+  }
+  historyState = state
+  updateHistoryButtons()
+}
+
+function scheduleHistory() {
+  clearTimeout(historyTimer)
+  historyTimer = setTimeout(recordHistory, 500)
+}
+
+function restoreHistory(from, to) {
+  recordHistory()
+  if (!from.length) return
+  to.push(historyState)
+  historyState = from.pop()
+  setControls(JSON.parse(historyState))
+  updateHistoryButtons()
+}
+
+window.undo = () => restoreHistory(undoStack, redoStack)
+window.redo = () => restoreHistory(redoStack, undoStack)
+
+function updateHistoryButtons() {
+  document.getElementById('undo-btn').disabled = !undoStack.length
+  document.getElementById('redo-btn').disabled = !redoStack.length
+}
+
+document.getElementById('sidebar').addEventListener('input', scheduleHistory)
+document.getElementById('sidebar').addEventListener('change', scheduleHistory)
+// Adding or removing a rule or symbol row is an edit of its own
+const historyObserver = new MutationObserver(scheduleHistory)
+historyObserver.observe(document.getElementById('rules'), { childList: true })
+historyObserver.observe(document.getElementById('symbols'), { childList: true })
+
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) everywhere but the grammar text, which keeps the
+// browser's own undo while it's being typed in
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.id === 'grammar-text') return
+  const key = e.key.toLowerCase()
+  if (key === 'z') {
+    e.preventDefault()
+    e.shiftKey ? window.redo() : window.undo()
+  } else if (key === 'y') {
+    e.preventDefault()
+    window.redo()
+  }
+})
+
+// ---- Generated Snapshots ----
+// The last few plants that were generated, newest first; clicking one loads it again
+const SNAPSHOT_LIMIT = 12
+const snapshots = []
+
+function addSnapshot(params, genIndex, segments) {
+  const preset = presetFromParams(params)
+  const state = JSON.stringify(preset)
+  const existing = snapshots.findIndex(s => s.state === state)
+  if (existing >= 0) snapshots.splice(existing, 1)
+  snapshots.unshift({ state, preset, genIndex, segments, time: new Date() })
+  if (snapshots.length > SNAPSHOT_LIMIT) snapshots.pop()
+  renderSnapshots()
+}
+
+function renderSnapshots() {
+  const list = document.getElementById('snapshots')
+  list.innerHTML = ''
+  for (const snap of snapshots) {
+    const item = document.createElement('div')
+    item.className = 'snapshot'
+    const rules = normalizeRules(snap.preset.rules).map(r => `${r.pred} → ${r.prod}`).join('\n')
+    item.title = `Axiom ${snap.preset.axiom}\n${rules}`
+    item.textContent = `${snap.time.toLocaleTimeString()} · gen ${snap.genIndex} · ${snap.segments.toLocaleString()} segments · ${snap.preset.axiom}`
+    item.onclick = () => applyPreset(snap.preset)
+    list.appendChild(item)
+  }
+}
+
+// ---- Parameter Sweep ----
+// A grid of variations on the current settings, with one or two parameters stepped across
+// a range, drawn into scissored viewports of the one canvas. Every cell is scaled to the
+// same size and seen through the main camera, so orbiting turns them all together.
+// Clicking a cell loads its values into the sidebar and generates it.
+const SWEEP_PARAMS = {
+  angle: { label: 'Angle', key: 'angle', range: v => [Math.max(1, v - 10), v + 10] },
+  twist: { label: 'Twist', key: 'twist', range: () => [0, 1] },
+  length: { label: 'Length', key: 'len', range: v => [v / 2, v * 2] },
+  iterations: { label: 'Iterations', key: 'iterations', integer: true, range: v => [1, v] },
+  seed: { label: 'Seed', key: 'seed', integer: true, range: (v, steps) => [v, v + steps - 1] },
+  susceptibility: { label: 'Tropism', key: 'susceptibility', range: v => [0, Math.max(0.3, v * 2)] }
+}
+const SWEEP_MAX_STEPS = 8
+const sweepScene = new THREE.Scene()
+sweepScene.background = scene.background
+sweepScene.add(new THREE.AmbientLight(0xffffff, 0.5), keyLight.clone(), fillLight.clone())
+let sweep = null // { cells, cols, rows, view } while the grid is showing
+
+// Fills in a range around the sidebar's current value when a parameter is picked
+window.fillSweepRange = function (axis) {
+  const name = document.getElementById(`sweep-${axis}`).value
+  if (!name) return
+  const steps = document.getElementById(`sweep-${axis}-steps`)
+  steps.value = Math.min(SWEEP_MAX_STEPS, Math.max(2, parseInt(steps.value) || 4))
+  const [from, to] = SWEEP_PARAMS[name].range(parseFloat(document.getElementById(name).value) || 0, +steps.value)
+  document.getElementById(`sweep-${axis}-from`).value = +from.toFixed(3)
+  document.getElementById(`sweep-${axis}-to`).value = +to.toFixed(3)
+}
+
+// { name, spec, values } for one axis of the grid, or null when it's off
+function sweepAxis(axis) {
+  const name = document.getElementById(`sweep-${axis}`).value
+  if (!name) return null
+  const spec = SWEEP_PARAMS[name]
+  const from = parseFloat(document.getElementById(`sweep-${axis}-from`).value) || 0
+  const to = parseFloat(document.getElementById(`sweep-${axis}-to`).value) || 0
+  const steps = Math.min(SWEEP_MAX_STEPS, Math.max(1, parseInt(document.getElementById(`sweep-${axis}-steps`).value) || 1))
+  const values = []
+  for (let i = 0; i < steps; i++) {
+    const v = steps === 1 ? from : from + (to - from) * i / (steps - 1)
+    values.push(spec.integer ? Math.max(0, Math.round(v)) : Math.round(v * 1000) / 1000)
+  }
+  return { name, spec, values }
+}
+
+window.runSweep = function () {
+  if (grammarTextMode && !applyGrammarText()) return
+  const x = sweepAxis('x')
+  const y = sweepAxis('y')
+  if (!x && !y) {
+    document.getElementById('stats').textContent = 'Pick a parameter to sweep.'
+    return
+  }
+  stopAnimation()
+  hideSidebarOnMobile()
+  const base = getParams()
+  const cols = x ? x.values : [null]
+  const rows = y ? y.values : [null]
+  const cells = []
+  for (const yv of rows) {
+    for (const xv of cols) {
+      const params = { ...base }
+      const values = {}
+      const label = []
+      for (const [axis, v] of [[x, xv], [y, yv]]) {
+        if (!axis) continue
+        params[axis.spec.key] = v
+        values[axis.name] = v
+        label.push(`${axis.spec.label} ${v}`)
+      }
+      cells.push({ params, values, label: label.join(' · ') })
+    }
+  }
+
+  const t0 = performance.now()
+  const message = { sweep: cells.map(c => c.params), budget: getBudget() }
+  runWorker(message, (cell, total) => `Sweeping ${cell + 1}/${total + 1}…`, cells.length - 1, ({ geometries, warning }) => {
+    const stats = document.getElementById('stats')
+    if (!geometries.length) {
+      stats.textContent = `⚠️ ${warning}`
+      return
+    }
+    showSweep(cells.slice(0, geometries.length), geometries, cols.length, rows.length, loadSweepCell)
+    stats.textContent = warning
+      ? `⚠️ ${warning}`
+      : `Swept ${cells.length} cells in ${(performance.now() - t0).toFixed(0)}ms. Click one to load it.`
+  })
+}
+
+// Lines or tubes as the main view is showing, colored by the cell's own settings,
+// scaled to fit a unit sphere at the origin
+function createSweepObject(data, params) {
+  const { colorMode: mode, colorBlend: blend, gradient } = params
+  if (mode !== 'symbol') data.colors = colorSegments(data, { mode, blend, gradient }, params.iterations)
+  const object = new THREE.Group()
+  if (renderMode === 'tubes') {
+    object.add(createTubeMesh(buildTubeArrays(data, params, tubeRadial(data))))
+  } else {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(data.vertices, 3))
+    geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3))
+    object.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true })))
+  }
+  const extras = createExtras(data)
+  if (extras) object.add(extras)
+
+  const box = new THREE.Box3().setFromObject(object)
+  if (!box.isEmpty()) {
+    const scale = 2 / Math.max(box.getSize(new THREE.Vector3()).length(), 1e-6)
+    object.scale.setScalar(scale)
+    object.position.copy(box.getCenter(new THREE.Vector3()).multiplyScalar(-scale))
+  }
+  return object
+}
+
+// pick(cell, index) is called when a cell is clicked
+function showSweep(cells, geometries, cols, rows, pick) {
+  const view = sweep ? sweep.view : { position: camera.position.clone(), target: controls.target.clone() }
+  clearSweep()
+  cells.forEach((cell, i) => {
+    cell.object = createSweepObject(geometries[i], cell.params)
+    sweepScene.add(cell.object)
+  })
+  sweep = { cells, cols, rows, view, pick }
+  clearSelection()
+  controls.target.set(0, 0, 0)
+  camera.position.set(0, 0.5, 2.6)
+
+  const overlay = document.getElementById('sweep-overlay')
+  overlay.style.gridTemplateColumns = `repeat(${cols}, 1fr)`
+  overlay.style.gridTemplateRows = `repeat(${rows}, 1fr)`
+  overlay.innerHTML = ''
+  for (let i = 0; i < cols * rows; i++) {
+    const div = document.createElement('div')
+    div.className = 'sweep-cell'
+    div.textContent = cells[i]?.label ?? ''
+    overlay.appendChild(div)
+  }
+  overlay.hidden = false
+  document.getElementById('exit-sweep').hidden = false
+  updateBreedButtons()
+}
+
+function clearSweep() {
+  if (!sweep) return
+  for (const { object } of sweep.cells) {
+    sweepScene.remove(object)
+    object.traverse(node => {
+      if (!node.isMesh && !node.isLineSegments) return
+      if (!node.userData.sharedGeometry) node.geometry.dispose()
+      if (node.isInstancedMesh) node.dispose()
+      node.material.dispose()
+    })
+  }
+}
+
+// Back to the single view, where the camera was before the sweep
+function exitSweep() {
+  if (!sweep) return
+  clearSweep()
+  camera.position.copy(sweep.view.position)
+  controls.target.copy(sweep.view.target)
+  sweep = null
+  document.getElementById('sweep-overlay').hidden = true
+  document.getElementById('exit-sweep').hidden = true
+  updateBreedButtons()
+}
+
+window.exitSweep = exitSweep
+
+function renderSweep() {
+  const w = container.clientWidth
+  const h = container.clientHeight
+  const cw = w / sweep.cols
+  const ch = h / sweep.rows
+  camera.aspect = cw / ch
+  camera.updateProjectionMatrix()
+  renderer.clear()
+  renderer.setScissorTest(true)
+  sweep.cells.forEach((cell, i) => {
+    // Viewports count up from the bottom of the canvas, the grid down from the top
+    const x = (i % sweep.cols) * cw
+    const y = h - (Math.floor(i / sweep.cols) + 1) * ch
+    renderer.setViewport(x, y, cw, ch)
+    renderer.setScissor(x, y, cw, ch)
+    renderCell(cell)
+  })
+  renderer.setScissorTest(false)
+  renderer.setViewport(0, 0, w, h)
+  camera.aspect = w / h
+  camera.updateProjectionMatrix()
+}
+
+function renderCell(cell) {
+  for (const other of sweep.cells) other.object.visible = other === cell
+  renderer.render(sweepScene, camera)
+}
+
+function loadSweepCell(cell) {
+  for (const [name, value] of Object.entries(cell.values)) document.getElementById(name).value = value
+  render()
+}
+
+function pickSweepCell(e) {
+  const rect = renderer.domElement.getBoundingClientRect()
+  const col = Math.floor((e.clientX - rect.left) / rect.width * sweep.cols)
+  const row = Math.floor((e.clientY - rect.top) / rect.height * sweep.rows)
+  const index = row * sweep.cols + col
+  if (sweep.cells[index]) sweep.pick(sweep.cells[index], index)
+}
+
+// ---- Breed Mode ----
+// Interactive evolution in the sweep grid: a litter of children of the current grammar,
+// each with a few random edits to its productions and some drift in its numbers (see
+// mutate.js). Clicking children marks them as favourites; Breed again makes the next
+// litter from those, or a fresh one from the same parents when none are marked.
+const LITTER_COLS = 3
+const LITTER_ROWS = 3
+
+window.breed = function () {
+  if (grammarTextMode && !applyGrammarText()) return
+  const litter = sweep?.litter
+  const favorites = litter ? [...litter.favorites].map(i => sweep.cells[i].params) : []
+  const parents = favorites.length ? favorites : litter ? litter.parents : [getParams()]
+  const generation = litter ? litter.generation + (favorites.length ? 1 : 0) : 1
+  const edits = Math.max(1, parseInt(document.getElementById('breed-edits').value) || 1)
+  const drift = Math.max(0, parseFloat(document.getElementById('breed-drift').value) || 0) / 100
+  stopAnimation()
+  hideSidebarOnMobile()
+
+  const cells = []
+  for (let i = 0; i < LITTER_COLS * LITTER_ROWS; i++) {
+    const params = mutateParams(parents[i % parents.length], { edits, drift })
+    const name = `${generation}.${i + 1}`
+    cells.push({ params, name, label: `${name} · ${params.angle}°` })
+  }
+  const message = { sweep: cells.map(c => c.params), budget: getBudget() }
+  runWorker(message, (cell, total) => `Breeding ${cell + 1}/${total + 1}…`, cells.length - 1, ({ geometries, warning }) => {
+    const stats = document.getElementById('stats')
+    if (!geometries.length) {
+      stats.textContent = `⚠️ ${warning}`
+      return
+    }
+    showSweep(cells.slice(0, geometries.length), geometries, LITTER_COLS, LITTER_ROWS, toggleFavorite)
+    sweep.litter = { generation, parents, favorites: new Set() }
+    updateBreedButtons()
+    stats.textContent = warning
+      ? `⚠️ ${warning}`
+      : `Generation ${generation}. Click favourites, then Breed again, Save or Load.`
+  })
+}
+
+function toggleFavorite(cell, index) {
+  const { favorites } = sweep.litter
+  if (favorites.has(index)) favorites.delete(index)
+  else favorites.add(index)
+  document.getElementById('sweep-overlay').children[index].classList.toggle('picked', favorites.has(index))
+  updateBreedButtons()
+}
+
+function updateBreedButtons() {
+  const picked = Boolean(sweep?.litter?.favorites.size)
+  document.getElementById('save-bred').disabled = !picked
+  document.getElementById('load-bred').disabled = !picked
+}
+
+// Each favourite goes to My Presets, under the typed name or its place in the litter.
+// A typed name is used up, as when saving the sidebar.
+window.saveBred = function () {
+  const input = document.getElementById('save-preset-name')
+  const typed = input.value.trim()
+  for (const i of sweep?.litter?.favorites ?? []) {
+    const cell = sweep.cells[i]
+    savePreset(uniqueName(getUserPresets(), typed || `Bred ${cell.name}`), cell.params, captureThumbnail(() => renderCell(cell)))
+  }
+  if (typed) input.value = ''
+}
+
+// The first favourite picked, into the sidebar and generated in full
+window.loadBred = function () {
+  const [first] = sweep?.litter?.favorites ?? []
+  if (first !== undefined) applyPreset(presetFromParams(sweep.cells[first].params))
+}
+
+// ---- Segment Highlight ----
+// Picked segments stand out by dimming the whole mesh and drawing a copy of just those
+// segments over it at full color. The copy holds its own (small) buffers, so it never
+// touches the arrays the mesh shares with the cached geometry.
+const HIGHLIGHT_DIM = 0.2
+let highlightMesh = null
+let highlight = null // { data, mask } — mask has a 1 per highlighted segment of data
+
+function highlightSegments(data, mask) {
+  removeHighlightMesh()
+  highlight = { data, mask }
+  if (!currentMesh) return
+  currentMesh.material.color.setScalar(HIGHLIGHT_DIM)
+
+  const source = currentMesh.geometry
+  const per = source.getAttribute('position').count / mask.length // vertices per segment
+  const picked = []
+  for (let s = 0; s < mask.length; s++) if (mask[s]) picked.push(s)
+  const geometry = new THREE.BufferGeometry()
+  for (const name of ['position', 'normal', 'color']) {
+    const attr = source.getAttribute(name)
+    if (!attr) continue
+    const array = new Float32Array(picked.length * per * 3)
+    picked.forEach((s, k) => array.set(attr.array.subarray(s * per * 3, (s + 1) * per * 3), k * per * 3))
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, 3))
+  }
+  if (source.index) {
+    const units = currentMesh.userData.unitsPerSegment
+    const index = new Uint32Array(picked.length * units)
+    picked.forEach((s, k) => {
+      for (let t = 0; t < units; t++) index[k * units + t] = source.index.array[s * units + t] - s * per + k * per
+    })
+    geometry.setIndex(new THREE.BufferAttribute(index, 1))
+  }
+  const material = currentMesh.material.clone()
+  material.color.setScalar(1)
+  highlightMesh = currentMesh.isLineSegments ? new THREE.LineSegments(geometry, material) : new THREE.Mesh(geometry, material)
+  highlightMesh.renderOrder = 1 // same depth as the dimmed mesh, so it must draw after it
+  scene.add(highlightMesh)
+}
+
+function removeHighlightMesh() {
+  if (!highlightMesh) return
+  scene.remove(highlightMesh)
+  highlightMesh.geometry.dispose()
+  highlightMesh.material.dispose()
+  highlightMesh = null
+}
+
+// Back to the plain mesh, and nothing inspected
+function clearSelection() {
+  removeHighlightMesh()
+  highlight = null
+  if (currentMesh) currentMesh.material.color.setScalar(1)
+  document.getElementById('inspector').hidden = true
+  if (derivation.selection) {
+    derivation.selection = null
+    markDerivation()
+  }
+}
+
+window.clearSelection = clearSelection
+
+// Mask of the segments drawn by symbols start..end-1 (segmentSymbols never decreases)
+function symbolRangeMask(data, start, end) {
+  const mask = new Uint8Array(data.vertices.length / 6)
+  mask.fill(1, lowerBound(data.segmentSymbols, start), lowerBound(data.segmentSymbols, end))
+  return mask
+}
+
+// ---- Segment Inspector ----
+// Click a segment to see the symbol that drew it: where it is in the derived string, the
+// generation it was born in, the rule that wrote it and its ancestors back to the axiom.
+// The branch growing out of it is highlighted; clicking an ancestor highlights everything
+// that ancestor became instead. Ancestry needs the derived strings, so not when streaming.
+const raycaster = new THREE.Raycaster()
+const PICK_PIXELS = 5
+
+// Index of the segment under the pointer, or -1
+function segmentAt(e) {
+  const rect = renderer.domElement.getBoundingClientRect()
+  const pointer = new THREE.Vector2(
+    (e.clientX - rect.left) / rect.width * 2 - 1,
+    -(e.clientY - rect.top) / rect.height * 2 + 1
+  )
+  raycaster.setFromCamera(pointer, camera)
+  // A few pixels either side of a line, measured at the orbit target's distance
+  const perPixel = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * camera.position.distanceTo(controls.target) / rect.height
+  raycaster.params.Line.threshold = PICK_PIXELS * perPixel
+  const hit = raycaster.intersectObject(currentMesh)[0]
+  if (!hit) return -1
+  return currentMesh.isLineSegments ? hit.index / 2 : Math.floor(hit.faceIndex * 3 / currentMesh.userData.unitsPerSegment)
+}
+
+// The segment and everything drawn onward from its end, side branches included
+function branchMask(data, segment) {
+  const { segmentAnchors } = data
+  const mask = new Uint8Array(segmentAnchors.length)
+  mask[segment] = 1
+  for (let s = segment + 1; s < mask.length; s++) {
+    if (segmentAnchors[s] >= 0 && mask[segmentAnchors[s]]) mask[s] = 1
+  }
+  return mask
+}
+
+function inspectAt(e) {
+  if (!currentMesh || !cachedGeometries || drawProgress) return
+  const segment = segmentAt(e)
+  if (segment < 0) {
+    clearSelection()
+    return
+  }
+  const data = cachedGeometries[currentGenIndex]
+  const generations = cachedGenerations[currentGenIndex] && cachedGenerations
+  const symbol = data.segmentSymbols[segment]
+  const mask = branchMask(data, segment)
+  highlightSegments(data, mask)
+
+  const body = document.getElementById('inspector-body')
+  body.innerHTML = ''
+  const line = (text, className = 'inspector-line') => {
+    const div = document.createElement('div')
+    div.className = className
+    div.textContent = text
+    body.appendChild(div)
+    return div
+  }
+  const count = mask.reduce((sum, m) => sum + m, 0)
+  const codes = generations && generations[currentGenIndex].codes
+  const name = codes ? `"${String.fromCharCode(codes[symbol])}" — ` : ''
+  const total = codes ? ` of ${codes.length.toLocaleString()}` : ''
+  line(`${name}symbol ${symbol.toLocaleString()}${total} in generation ${currentGenIndex}`)
+  line(`Born in generation ${data.segmentBirths[segment]}`)
+  const highlighted = line(`Highlighted: the branch from here, ${count.toLocaleString()} segment${count === 1 ? '' : 's'}`, 'info')
+  if (!generations) {
+    line('No ancestry while streaming symbols, the derived strings are not kept', 'info')
+  } else {
+    const rules = normalizeRules(cachedSettings.rules)
+    const describe = rule => rule < 0 ? 'no matching rule' : `rule ${rule + 1}: ${rules[rule].pred} → ${rules[rule].prod}`
+    const steps = traceAncestry(generations, currentGenIndex, symbol)
+    const last = steps[steps.length - 1]
+    body.insertBefore(line(last.gen === 0 ? 'From the axiom' : `Written by ${describe(last.rule)}`), highlighted)
+
+    const title = document.createElement('h3')
+    title.textContent = 'Ancestry'
+    body.appendChild(title)
+    for (const step of steps) {
+      const char = String.fromCharCode(step.code)
+      const origin = step.gen === 0 ? 'axiom' : describe(step.rule)
+      const item = line(`Gen ${step.gen} · "${char}" #${step.index.toLocaleString()} · ${origin}`, 'inspector-step')
+      item.title = 'Highlight everything this symbol became'
+      item.onclick = () => {
+        const [start, end] = descendantRange(generations, step.gen, step.index, currentGenIndex)
+        const family = symbolRangeMask(data, start, end)
+        highlightSegments(data, family)
+        const n = family.reduce((sum, m) => sum + m, 0)
+        highlighted.textContent = `Highlighted: all that "${char}" of generation ${step.gen} became, ${n.toLocaleString()} segment${n === 1 ? '' : 's'}`
+      }
+    }
+  }
+  document.getElementById('inspector').hidden = false
+  revealSymbol(symbol)
+}
+
+// A click, not the end of an orbit drag, picks a sweep cell or inspects a segment
+let pointerStart = null
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  pointerStart = { x: e.clientX, y: e.clientY }
+})
+renderer.domElement.addEventListener('pointerup', (e) => {
+  if (!pointerStart || Math.hypot(e.clientX - pointerStart.x, e.clientY - pointerStart.y) > 4) return
+  if (sweep) pickSweepCell(e)
+  else inspectAt(e)
+})
+
+// ---- Derivation Viewer ----
+// The derived string of the generation on the playback slider, in a scroller that only
+// builds the rows in view, so multi-megabyte strings stay cheap. Symbols are colored by
+// the generation they were born in, on the Color By gradient, and hovering a bracket
+// marks its partner. Dragging across symbols (shift-click to extend) highlights the
+// segments they draw; search steps through its matches the same way.
+const ROW_HEIGHT = 16
+const MATCH_LIMIT = 10000
+const BRACKET_PAIRS = { '[': ']', '{': '}' }
+const derivation = {
+  generations: null, // the cachedGenerations it was showing, to notice a new render
+  gen: -1,
+  cols: 0, // symbols per row
+  charWidth: 0,
+  text: null, // the generation as one string, built for the first search
+  stale: true, // matches need finding again
+  selection: null, // [first, last] symbol indices
+  anchor: -1,
+  dragging: false,
+  pair: null, // a bracket under the pointer and its partner (-1 if unmatched)
+  query: '',
+  matches: [],
+  match: -1
+}
+
+function showDerivation(genIndex) {
+  if (genIndex !== derivation.gen || cachedGenerations !== derivation.generations) {
+    derivation.generations = cachedGenerations
+    derivation.gen = genIndex
+    derivation.text = null
+    derivation.stale = true
+    derivation.selection = null
+    derivation.anchor = -1
+    derivation.pair = null
+  }
+  renderDerivation()
+}
+
+function renderDerivation() {
+  const view = document.getElementById('derivation-view')
+  if (!view.offsetParent) return // section collapsed
+  const spacer = document.getElementById('derivation-spacer')
+  const rows = document.getElementById('derivation-rows')
+  const gen = cachedGenerations?.[derivation.gen]
+  rows.innerHTML = ''
+  if (!gen) {
+    spacer.style.height = '0'
+    document.getElementById('derivation-info').textContent = cachedGenerations
+      ? 'The derived strings are not kept while streaming symbols'
+      : 'Generate to see the derived string'
+    return
+  }
+  if (derivation.stale) findMatches()
+
+  if (!derivation.charWidth) {
+    const probe = document.createElement('span')
+    probe.textContent = 'M'.repeat(20)
+    rows.appendChild(probe)
+    derivation.charWidth = probe.getBoundingClientRect().width / 20
+    rows.innerHTML = ''
+  }
+  const { codes, births } = gen
+  const cols = derivation.cols = Math.max(8, Math.floor((view.clientWidth - 12) / derivation.charWidth) || 8)
+  spacer.style.height = `${Math.ceil(codes.length / cols) * ROW_HEIGHT}px`
+  const first = Math.floor(view.scrollTop / ROW_HEIGHT)
+  const last = first + Math.ceil(view.clientHeight / ROW_HEIGHT) + 1
+  rows.style.top = `${first * ROW_HEIGHT}px`
+
+  const palette = birthPalette(getColoring(), cachedGeometries.length - 1)
+  const fragment = document.createDocumentFragment()
+  for (let r = first; r < last && r * cols < codes.length; r++) {
+    const row = document.createElement('div')
+    row.className = 'derivation-row'
+    for (let i = r * cols; i < Math.min(codes.length, (r + 1) * cols); i++) {
+      const span = document.createElement('span')
+      span.textContent = String.fromCharCode(codes[i])
+      span.style.color = palette[Math.min(births[i], palette.length - 1)]
+      span.dataset.i = i
+      row.appendChild(span)
+    }
+    fragment.appendChild(row)
+  }
+  rows.appendChild(fragment)
+  markDerivation()
+}
+
+// Selection, search matches and bracket pairs on the rows in view
+function markDerivation() {
+  const { selection, pair, matches } = derivation
+  const length = derivation.query.length
+  for (const span of document.getElementById('derivation-rows').querySelectorAll('span')) {
+    const i = +span.dataset.i
+    const k = lowerBound(matches, i - length + 1)
+    span.classList.toggle('selected', Boolean(selection) && i >= selection[0] && i <= selection[1])
+    span.classList.toggle('match', k < matches.length && matches[k] <= i)
+    span.classList.toggle('pair', Boolean(pair) && (i === pair[0] || i === pair[1]))
+    span.classList.toggle('unmatched', Boolean(pair) && pair[1] < 0 && i === pair[0])
+  }
+  updateDerivationInfo()
+}
+
+function updateDerivationInfo() {
+  const gen = cachedGenerations?.[derivation.gen]
+  if (!gen) return
+  let text = `Generation ${derivation.gen}: ${gen.codes.length.toLocaleString()} symbols`
+  if (derivation.selection) {
+    const [first, last] = derivation.selection
+    text += first === last
+      ? ` · symbol ${first.toLocaleString()} selected`
+      : ` · ${first.toLocaleString()}–${last.toLocaleString()} selected`
+  }
+  document.getElementById('derivation-info').textContent = text
+}
+
+// Index of the bracket that closes or opens the one at i, or -1
+function bracketPartner(codes, i) {
+  const ch = String.fromCharCode(codes[i])
+  const open = ch in BRACKET_PAIRS ? ch : Object.keys(BRACKET_PAIRS).find(o => BRACKET_PAIRS[o] === ch)
+  const openCode = open.charCodeAt(0)
+  const closeCode = BRACKET_PAIRS[open].charCodeAt(0)
+  const dir = ch === open ? 1 : -1
+  let depth = 0
+  for (let k = i; k >= 0 && k < codes.length; k += dir) {
+    if (codes[k] === openCode) depth += dir
+    else if (codes[k] === closeCode) depth -= dir
+    if (depth === 0) return k
+  }
+  return -1
+}
+
+// Highlights the segments symbols first..last draw
+function selectSymbols(first, last) {
+  derivation.selection = [first, last]
+  markDerivation()
+  const data = cachedGeometries?.[derivation.gen]
+  if (!data || derivation.gen !== currentGenIndex) return
+  document.getElementById('inspector').hidden = true
+  highlightSegments(data, symbolRangeMask(data, first, last + 1))
+}
+
+function scrollToSymbol(i) {
+  const view = document.getElementById('derivation-view')
+  const top = Math.floor(i / Math.max(1, derivation.cols)) * ROW_HEIGHT
+  if (top < view.scrollTop || top + ROW_HEIGHT > view.scrollTop + view.clientHeight) {
+    view.scrollTop = top - view.clientHeight / 3
+  }
+  renderDerivation()
+}
+
+// Marks a symbol clicked in the viewport, without changing what's highlighted there
+function revealSymbol(i) {
+  if (derivation.gen !== currentGenIndex) return
+  derivation.selection = [i, i]
+  scrollToSymbol(i)
+}
+
+function findMatches() {
+  derivation.stale = false
+  derivation.query = document.getElementById('derivation-search').value.replace(/\s/g, '')
+  derivation.matches = []
+  derivation.match = -1
+  const gen = cachedGenerations?.[derivation.gen]
+  if (derivation.query && gen) {
+    if (!derivation.text) derivation.text = generationToString(gen)
+    const { text, query, matches } = derivation
+    for (let i = text.indexOf(query); i >= 0 && matches.length < MATCH_LIMIT; i = text.indexOf(query, i + 1)) {
+      matches.push(i)
+    }
+  }
+  updateMatchCount()
+}
+
+function updateMatchCount() {
+  const { matches, match, query } = derivation
+  const total = matches.length >= MATCH_LIMIT ? `${MATCH_LIMIT.toLocaleString()}+` : matches.length.toLocaleString()
+  document.getElementById('derivation-count').textContent = !query ? ''
+    : !matches.length ? 'No matches'
+    : match < 0 ? `${total} matches`
+    : `${(match + 1).toLocaleString()} / ${total}`
+}
+
+window.stepMatch = function (dir) {
+  if (derivation.stale) findMatches()
+  const { matches } = derivation
+  if (!matches.length) return
+  derivation.match = derivation.match < 0
+    ? (dir > 0 ? 0 : matches.length - 1)
+    : (derivation.match + dir + matches.length) % matches.length
+  const start = matches[derivation.match]
+  updateMatchCount()
+  selectSymbols(start, start + derivation.query.length - 1)
+  scrollToSymbol(start)
+}
+
+let searchTimer = null
+const searchInput = document.getElementById('derivation-search')
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer)
+  searchTimer = setTimeout(() => {
+    findMatches()
+    markDerivation()
+    if (derivation.matches.length) window.stepMatch(1)
+  }, 250)
+})
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return
+  e.preventDefault()
+  window.stepMatch(e.shiftKey ? -1 : 1)
+})
+
+const derivationView = document.getElementById('derivation-view')
+let derivationFrame = 0
+derivationView.addEventListener('scroll', () => {
+  cancelAnimationFrame(derivationFrame)
+  derivationFrame = requestAnimationFrame(renderDerivation)
+})
+document.getElementById('derivation-header').addEventListener('click', renderDerivation)
+window.addEventListener('resize', renderDerivation)
+
+const symbolIndex = e => e.target.dataset?.i === undefined ? -1 : +e.target.dataset.i
+derivationView.addEventListener('mousedown', (e) => {
+  const i = symbolIndex(e)
+  if (i < 0) return
+  e.preventDefault()
+  if (!e.shiftKey || derivation.anchor < 0) derivation.anchor = i
+  derivation.dragging = true
+  derivation.selection = [Math.min(derivation.anchor, i), Math.max(derivation.anchor, i)]
+  markDerivation()
+})
+derivationView.addEventListener('mouseover', (e) => {
+  const i = symbolIndex(e)
+  if (i < 0) return
+  if (derivation.dragging) {
+    const selection = [Math.min(derivation.anchor, i), Math.max(derivation.anchor, i)]
+    if (selection[0] === derivation.selection[0] && selection[1] === derivation.selection[1]) return
+    derivation.selection = selection
+    markDerivation()
+    return
+  }
+  const { codes } = cachedGenerations[derivation.gen]
+  const pair = e.target.textContent in BRACKET_PAIRS || Object.values(BRACKET_PAIRS).includes(e.target.textContent)
+    ? [i, bracketPartner(codes, i)]
+    : null
+  if (pair?.[0] === derivation.pair?.[0]) return
+  derivation.pair = pair
+  markDerivation()
+})
+derivationView.addEventListener('mouseleave', () => {
+  if (!derivation.pair) return
+  derivation.pair = null
+  markDerivation()
+})
+window.addEventListener('mouseup', () => {
+  if (!derivation.dragging) return
+  derivation.dragging = false
+  selectSymbols(...derivation.selection)
+})
+
 // ---- Playback Controls ----
 function stopAnimation() {
   if (animationTimer) {
@@ -512,23 +1674,32 @@ function startGrowthForGen(genIndex) {
     return
   }
 
-  // Growth mode — progressive draw
-  const duration = Math.min(2500, Math.max(600, totalSegments * 0.8))
-
-  if (currentMesh) {
-    scene.remove(currentMesh)
-    currentMesh.geometry.dispose()
-    currentMesh.material.dispose()
+  // Botanical growth — every segment moves out from where it starts in growFrom at once.
+  // Streamed generations have no growFrom and fall back to pen drawing.
+  if (growthStyle === 'botanical' && data.growFrom) {
+    showGeometry(data, genIndex, cachedGenerations.length)
+    revealExtras(0)
+    currentMesh.frustumCulled = false
+    if (autoFrame) centerCamera(data)
+    updateUI(genIndex, cachedGenerations.length, totalSegments, 'Growing...')
+    // Animate copies, not the cached arrays the mesh was built on
+    const pose = new Float32Array(data.vertices.length)
+    const geometry = currentMesh.geometry
+    if (currentMesh.isLineSegments) {
+      geometry.setAttribute('position', new THREE.BufferAttribute(pose, 3))
+    } else {
+      geometry.setAttribute('position', geometry.attributes.position.clone())
+      geometry.setAttribute('normal', geometry.attributes.normal.clone())
+    }
+    drawProgress = { startTime: performance.now(), duration: 1500, genIndex, totalSegments, pose }
+    poseGrowth(data, 0)
+    return
   }
 
-  const geometry = new THREE.BufferGeometry()
-  geometry.setAttribute('position', new THREE.BufferAttribute(data.vertices, 3))
-  geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3))
-  geometry.setDrawRange(0, 0)
+  // Growth mode — progressive draw
+  const duration = Math.min(2500, Math.max(600, totalSegments * 0.8))
 
-  const material = new THREE.LineBasicMaterial({ vertexColors: true })
-  currentMesh = new THREE.LineSegments(geometry, material)
-  scene.add(currentMesh)
+  showGeometry(data, genIndex, cachedGenerations.length, 0)
 
   if (autoFrame) centerCamera(data)
   updateUI(genIndex, cachedGenerations.length, totalSegments, 'Growing...')
@@ -537,7 +1708,6 @@ function startGrowthForGen(genIndex) {
     startTime: performance.now(),
     duration,
     genIndex,
-    totalVerts,
     totalSegments
   }
 }
@@ -546,10 +1716,50 @@ window.setGrowthMode = function (enabled) {
   growthMode = enabled
 }
 
+window.setGrowthStyle = function (style) {
+  growthStyle = style
+}
+
+// Moves the botanical growth to t (0..1) of the way from growFrom to the final positions.
+// Tubes are rebuilt around the moved segments each frame.
+function poseGrowth(data, t) {
+  const { vertices, growFrom } = data
+  const { pose } = drawProgress
+  for (let i = 0; i < vertices.length; i++) pose[i] = growFrom[i] + (vertices[i] - growFrom[i]) * t
+  const geometry = currentMesh.geometry
+  if (currentMesh.isLineSegments) {
+    geometry.attributes.position.needsUpdate = true
+    return
+  }
+  updateTubeShape({ ...data, vertices: pose }, cachedSettings, tubeRadial(data),
+    geometry.attributes.position.array, geometry.attributes.normal.array)
+  geometry.attributes.position.needsUpdate = true
+  geometry.attributes.normal.needsUpdate = true
+}
+
 window.setAutoFrame = function (enabled) {
   autoFrame = enabled
 }
 
+window.setRenderMode = function (mode) {
+  renderMode = mode
+  if (!cachedGeometries) return
+  stopAnimation()
+  const data = cachedGeometries[currentGenIndex]
+  if (!data) return
+  showGeometry(data, currentGenIndex, cachedGenerations.length)
+  updateUI(currentGenIndex, cachedGenerations.length, data.vertices.length / 6)
+}
+
+window.setColorMode = function () {
+  if (!cachedGeometries) return
+  stopAnimation()
+  const data = cachedGeometries[currentGenIndex]
+  if (!data) return
+  showGeometry(data, currentGenIndex, cachedGenerations.length)
+  updateUI(currentGenIndex, cachedGenerations.length, data.vertices.length / 6)
+}
+
 window.scrubGeneration = function (val) {
   if (!cachedGeometries) return
   stopAnimation()
@@ -561,25 +1771,83 @@ window.scrubGeneration = function (val) {
   updateUI(currentGenIndex, cachedGenerations.length, segments)
 }
 
+// ---- Export ----
+// A full, un-animated copy of the current generation, built in the requested mode
+// regardless of what the viewport is showing
+function buildExportObject(data, mode) {
+  const group = new THREE.Group()
+  group.add(createMesh(data, mode))
+  const extras = createExtras(data)
+  if (extras) group.add(extras)
+  return group
+}
+
+const EXPORT_FORMATS = {
+  'obj-lines': { ext: 'obj', build: data => toOBJ(buildExportObject(data, 'lines')) },
+  'obj-tubes': { ext: 'obj', build: data => toOBJ(buildExportObject(data, 'tubes')) },
+  'stl': { ext: 'stl', build: data => toSTL(buildExportObject(data, 'tubes')) },
+  'glb': { ext: 'glb', build: data => toGLB(buildExportObject(data, renderMode)) },
+  'svg-plane': { ext: 'svg', build: data => svgBlob(buildSVG(data, projectPlane)) },
+  'svg-view': { ext: 'svg', build: data => svgBlob(buildSVG(data, cameraProjector(camera))) },
+  'png': { ext: 'png', build: () => renderPNG(scene, camera, ...pngSize()) }
+}
+
+function svgBlob(text) {
+  return new Blob([text], { type: 'image/svg+xml' })
+}
+
+// The typed size, shrunk to what a canvas can hold; the inputs show what's actually used
+function pngSize() {
+  const read = id => Math.max(16, Math.min(PNG_MAX_SIDE, Math.round(parseFloat(document.getElementById(id).value) || 0)))
+  const [width, height] = fitPNGSize(read('png-width'), read('png-height'))
+  document.getElementById('png-width').value = width
+  document.getElementById('png-height').value = height
+  return [width, height]
+}
+
+window.exportModel = async function () {
+  const data = cachedGeometries && cachedGeometries[currentGenIndex]
+  if (!data) {
+    document.getElementById('stats').textContent = '⚠️ Generate something to export first.'
+    return
+  }
+  const format = EXPORT_FORMATS[document.getElementById('export-format').value]
+  applyColorMode(data)
+  let blob
+  try {
+    blob = await format.build(data)
+  } catch (err) {
+    document.getElementById('stats').textContent = `⚠️ Export failed: ${err.message}`
+    return
+  }
+  downloadBlob(blob, `lsystem-gen${currentGenIndex}.${format.ext}`)
+}
+
 // ---- Animation Loop ----
 function animate() {
   requestAnimationFrame(animate)
 
-  // Handle growth animation — progressive draw following turtle path
+  // Handle growth animation — progressive draw following turtle path, or botanical
   if (drawProgress && currentMesh) {
-    const { startTime, duration, genIndex, totalVerts, totalSegments } = drawProgress
+    const { startTime, duration, genIndex, totalSegments } = drawProgress
     const elapsed = performance.now() - startTime
     const t = Math.min(1, elapsed / duration)
     // Ease out quad — fast start, gentle finish
     const eased = 1 - Math.pow(1 - t, 2)
 
-    const vertCount = Math.floor(eased * totalVerts)
-    // Must be even for LineSegments (2 verts per segment)
-    const evenCount = vertCount - (vertCount % 2)
-    currentMesh.geometry.setDrawRange(0, evenCount)
+    const { unitsPerSegment } = currentMesh.userData
+    if (drawProgress.pose) {
+      poseGrowth(cachedGeometries[genIndex], eased)
+    } else {
+      // Whole segments only: 2 verts per line segment, or a full tube's indices
+      const shown = Math.floor(eased * totalSegments)
+      currentMesh.geometry.setDrawRange(0, shown * unitsPerSegment)
+      revealExtras(shown)
+    }
 
     if (t >= 1) {
-      currentMesh.geometry.setDrawRange(0, totalVerts)
+      currentMesh.geometry.setDrawRange(0, totalSegments * unitsPerSegment)
+      revealExtras(Infinity)
       updateUI(genIndex, cachedGenerations.length, totalSegments)
       drawProgress = null
       currentGenIndex = genIndex
@@ -595,7 +1863,8 @@ function animate() {
   }
 
   controls.update()
-  renderer.render(scene, camera)
+  if (sweep) renderSweep()
+  else renderer.render(scene, camera)
 }
 animate()
 
@@ -640,7 +1909,13 @@ window.toggleSection = function (id) {
 }
 
 // ---- User Presets (localStorage) ----
+// Saved presets are shown as a gallery. Each also stores its tags and a thumbnail of
+// its last render: taken when it's saved, and again whenever it's loaded.
 const USER_PRESETS_KEY = 'lsystem-lab-user-presets'
+const THUMBNAIL_WIDTH = 160
+const THUMBNAIL_HEIGHT = 120
+let thumbnailFor = null // user preset the render in flight was loaded from
+let galleryTag = null // tag the gallery is filtered to
 
 function getUserPresets() {
   try { return JSON.parse(localStorage.getItem(USER_PRESETS_KEY)) || {} }
@@ -648,81 +1923,297 @@ function getUserPresets() {
 }
 
 function saveUserPresets(presets) {
-  localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(presets))
+  try {
+    localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(presets))
+  } catch {
+    document.getElementById('stats').textContent = '⚠️ Browser storage is full; delete some presets to save more.'
+  }
 }
 
-function renderUserPresets() {
+// Small JPEG of the view, cropped to fill the thumbnail
+// draw puts what to capture on the canvas; the main view unless told otherwise
+function captureThumbnail(draw = () => renderer.render(scene, camera)) {
+  draw()
+  const src = renderer.domElement
+  const canvas = document.createElement('canvas')
+  canvas.width = THUMBNAIL_WIDTH
+  canvas.height = THUMBNAIL_HEIGHT
+  const scale = Math.max(THUMBNAIL_WIDTH / src.width, THUMBNAIL_HEIGHT / src.height)
+  const sw = THUMBNAIL_WIDTH / scale
+  const sh = THUMBNAIL_HEIGHT / scale
+  canvas.getContext('2d').drawImage(src, (src.width - sw) / 2, (src.height - sh) / 2, sw, sh, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)
+  return canvas.toDataURL('image/jpeg', 0.75)
+}
+
+// Called once a render is on screen
+function updateThumbnail() {
+  if (!thumbnailFor) return
   const presets = getUserPresets()
-  const names = Object.keys(presets)
-  const container = document.getElementById('presets')
-  // Remove old user presets
-  container.querySelectorAll('.user-preset').forEach(el => el.remove())
-  for (const name of names) {
-    const btn = document.createElement('div')
-    btn.className = 'preset user-preset'
-    btn.textContent = name
-    btn.onclick = (e) => {
-      if (e.target.classList.contains('delete-preset')) return
-      loadUserPreset(name)
+  if (presets[thumbnailFor]) {
+    presets[thumbnailFor].thumbnail = captureThumbnail()
+    saveUserPresets(presets)
+    renderUserPresets()
+  }
+  thumbnailFor = null
+}
+
+function parseTags(text) {
+  return [...new Set(text.split(',').map(t => t.trim()).filter(Boolean))]
+}
+
+// Same entries in the same order, with one renamed
+function renamePreset(presets, from, to) {
+  return Object.fromEntries(Object.entries(presets).map(([name, p]) => [name === from ? to : name, p]))
+}
+
+// Swap el for a text input; Enter or leaving it calls commit(value), Escape cancels
+function editInline(el, value, placeholder, commit) {
+  const input = document.createElement('input')
+  input.type = 'text'
+  input.value = value
+  input.placeholder = placeholder
+  input.className = 'card-edit'
+  let done = false
+  const finish = (save) => {
+    if (done) return
+    done = true
+    if (save) commit(input.value)
+    else renderUserPresets()
+  }
+  input.onclick = (e) => e.stopPropagation()
+  input.onkeydown = (e) => {
+    if (e.key === 'Enter') finish(true)
+    else if (e.key === 'Escape') finish(false)
+  }
+  input.onblur = () => finish(true)
+  el.replaceWith(input)
+  input.focus()
+  input.select()
+}
+
+function presetCard(name, p) {
+  const card = document.createElement('div')
+  card.className = 'card'
+  card.onclick = () => loadUserPreset(name)
+
+  if (p.thumbnail) {
+    const img = document.createElement('img')
+    img.className = 'card-thumb'
+    img.src = p.thumbnail
+    img.alt = ''
+    card.appendChild(img)
+  } else {
+    const empty = document.createElement('div')
+    empty.className = 'card-thumb card-thumb-empty'
+    empty.textContent = '🌿'
+    card.appendChild(empty)
+  }
+
+  const title = document.createElement('div')
+  title.className = 'card-name'
+  title.textContent = name
+  title.title = name
+  card.appendChild(title)
+
+  const tags = document.createElement('div')
+  tags.className = 'card-tags'
+  for (const tag of p.tags ?? []) {
+    const chip = document.createElement('span')
+    chip.className = 'tag'
+    chip.textContent = tag
+    chip.onclick = (e) => {
+      e.stopPropagation()
+      galleryTag = tag
+      renderUserPresets()
     }
-    const del = document.createElement('button')
-    del.className = 'delete-preset'
-    del.textContent = '×'
-    del.onclick = (e) => {
+    tags.appendChild(chip)
+  }
+  card.appendChild(tags)
+
+  const actions = document.createElement('div')
+  actions.className = 'card-actions'
+  const action = (label, title, fn) => {
+    const btn = document.createElement('button')
+    btn.textContent = label
+    btn.title = title
+    btn.onclick = (e) => {
       e.stopPropagation()
-      const p = getUserPresets()
-      delete p[name]
-      saveUserPresets(p)
+      fn()
+    }
+    actions.appendChild(btn)
+  }
+  action('✎', 'Rename', () => editInline(title, name, 'Name', (value) => {
+    const to = value.trim()
+    const presets = getUserPresets()
+    if (to && to !== name && !Object.hasOwn(presets, to)) saveUserPresets(renamePreset(presets, name, to))
+    renderUserPresets()
+  }))
+  action('#', 'Edit tags', () => editInline(tags, (p.tags ?? []).join(', '), 'Tags, comma separated', (value) => {
+    const presets = getUserPresets()
+    presets[name].tags = parseTags(value)
+    saveUserPresets(presets)
+    renderUserPresets()
+  }))
+  action('⧉', 'Duplicate', () => duplicatePreset(name, getUserPresets()[name]))
+  action('×', 'Delete', () => {
+    const presets = getUserPresets()
+    delete presets[name]
+    saveUserPresets(presets)
+    renderUserPresets()
+  })
+  card.appendChild(actions)
+  return card
+}
+
+function duplicatePreset(name, p) {
+  const presets = getUserPresets()
+  presets[uniqueName(presets, name)] = structuredClone(p)
+  saveUserPresets(presets)
+  renderUserPresets()
+}
+
+function renderUserPresets() {
+  const presets = getUserPresets()
+  const query = document.getElementById('gallery-search').value.trim().toLowerCase()
+  const allTags = [...new Set(Object.values(presets).flatMap(p => p.tags ?? []))].sort()
+  if (!allTags.includes(galleryTag)) galleryTag = null
+
+  const tagBar = document.getElementById('gallery-tags')
+  tagBar.innerHTML = ''
+  for (const tag of allTags) {
+    const chip = document.createElement('span')
+    chip.className = tag === galleryTag ? 'tag active' : 'tag'
+    chip.textContent = tag
+    chip.onclick = () => {
+      galleryTag = tag === galleryTag ? null : tag
       renderUserPresets()
     }
-    btn.appendChild(del)
-    container.appendChild(btn)
+    tagBar.appendChild(chip)
   }
+
+  const gallery = document.getElementById('gallery')
+  gallery.innerHTML = ''
+  const matches = Object.entries(presets).filter(([name, p]) => {
+    const tags = p.tags ?? []
+    if (galleryTag && !tags.includes(galleryTag)) return false
+    return !query || name.toLowerCase().includes(query) || tags.some(t => t.toLowerCase().includes(query))
+  })
+  for (const [name, p] of matches) gallery.appendChild(presetCard(name, p))
+
+  const empty = document.getElementById('gallery-empty')
+  empty.hidden = matches.length > 0
+  empty.textContent = Object.keys(presets).length ? 'No presets match' : 'Saved presets show up here'
 }
 
+window.renderUserPresets = renderUserPresets
+
 function loadUserPreset(name) {
   const p = getUserPresets()[name]
   if (!p) return
-  document.getElementById('axiom').value = p.axiom
-  document.getElementById('angle').value = p.angle
-  document.getElementById('iterations').value = p.iterations
-  document.getElementById('length').value = p.length
-  document.getElementById('twist').value = p.twist
-  branchPickr.setColor(p.branchColor)
-  document.getElementById('branchColor-hex').textContent = p.branchColor
-  leafPickr.setColor(p.leafColor)
-  document.getElementById('leafColor-hex').textContent = p.leafColor
-
-  const rulesDiv = document.getElementById('rules')
-  rulesDiv.innerHTML = ''
-  for (const [key, val] of Object.entries(p.rules)) {
-    addRuleRow(key, val)
-  }
-  render()
+  applyPreset(p)
+  thumbnailFor = name
 }
 
+// Saves the sidebar's settings under the typed name
 window.saveUserPreset = function () {
   const input = document.getElementById('save-preset-name')
   const name = input.value.trim()
   if (!name) { input.focus(); return }
-  const params = getParams()
+  savePreset(name, getParams(), captureThumbnail())
+  input.value = ''
+}
+
+// Adds or replaces a preset in My Presets; a replaced one keeps its tags
+function savePreset(name, params, thumbnail) {
   const presets = getUserPresets()
-  presets[name.trim()] = {
-    axiom: params.axiom,
-    rules: params.rules,
-    angle: params.angle,
-    iterations: params.iterations,
-    length: params.len,
-    twist: params.twist,
-    branchColor: params.branchColor,
-    leafColor: params.leafColor
+  presets[name] = {
+    ...presetFromParams(params),
+    tags: presets[name]?.tags ?? [],
+    thumbnail
   }
   saveUserPresets(presets)
   renderUserPresets()
+}
+
+// ---- Preset Library Files ----
+window.exportLibrary = function () {
+  const blob = new Blob([serializeLibrary(getUserPresets())], { type: 'application/json' })
+  downloadBlob(blob, 'lsystem-presets.json')
+}
+
+window.importLibrary = async function (input) {
+  const file = input.files[0]
   input.value = ''
+  if (!file) return
+  const stats = document.getElementById('stats')
+  let library
+  try {
+    library = parseLibrary(await file.text())
+  } catch (err) {
+    stats.textContent = `⚠️ ${file.name}: ${err.message}`
+    return
+  }
+  const conflict = document.getElementById('import-conflict').value
+  const merged = mergeLibrary(getUserPresets(), library.presets, conflict)
+  saveUserPresets(merged.presets)
+  renderUserPresets()
+
+  const counts = [`${merged.added} added`]
+  if (merged.renamed) counts.push(`${merged.renamed} renamed`)
+  if (merged.replaced) counts.push(`${merged.replaced} replaced`)
+  if (merged.skipped) counts.push(`${merged.skipped} skipped as duplicates`)
+  const invalid = library.errors.length
+    ? ` ⚠️ ${library.errors.length} invalid: ${library.errors.join('; ')}`
+    : ''
+  stats.textContent = `Imported ${file.name}: ${counts.join(', ')}.${invalid}`
 }
 
+// ---- Shared Links ----
+// Every render writes its parameters into the URL hash, so the address bar is always
+// a link to what's on screen. Opening such a link, or pasting one, loads it.
+let sharedHash = ''
+let linkError = null
+
+function shareState(params) {
+  sharedHash = `#${encodeState(presetFromParams(params))}`
+  history.replaceState(null, '', sharedHash)
+}
+
+function loadFromHash() {
+  const hash = location.hash
+  if (hash.length < 2 || hash === sharedHash) return false
+  try {
+    applyPreset(decodeState(hash.slice(1)))
+    return true
+  } catch (err) {
+    linkError = err.message
+    return false
+  }
+}
+
+window.copyLink = async function (btn) {
+  shareState(getParams())
+  try {
+    await navigator.clipboard.writeText(location.href)
+    btn.textContent = '✓'
+  } catch {
+    btn.textContent = '✗'
+  }
+  setTimeout(() => { btn.textContent = '🔗' }, 1500)
+}
+
+window.addEventListener('hashchange', () => {
+  if (!loadFromHash() && linkError) {
+    document.getElementById('stats').textContent = `⚠️ ${linkError}`
+    linkError = null
+  }
+})
+
 renderUserPresets()
 
-// Load default preset
-loadPreset('3D Tree')
+// Restore the memory budget from the last session
+const savedBudget = localStorage.getItem(BUDGET_KEY)
+if (savedBudget) document.getElementById('budget').value = savedBudget
+
+// Open the L-system from the link, or the default preset
+if (!loadFromHash()) loadPreset('3D Tree')
@@ -0,0 +1,160 @@
+// ---- Model ----
+// Scene objects for a generation's geometry, shared by the page and the headless engine.
+// Nothing here touches the DOM: the arrays come from the turtle and Three.js is only used
+// to hold them.
+import * as THREE from 'three'
+import { getShapeGeometry } from './turtle.js'
+
+// ---- Tube Geometry ----
+// One tapered cylinder per segment, all merged into a single indexed buffer so even
+// 100k-segment trees are one draw call. The radius comes from bracket depth
+// (width * decay^depth) or from the turtle width set by !. Each segment tapers to the
+// radius of the segment that continues it, so joints along a branch stay smooth.
+export function buildTubeArrays(data, settings, radial) {
+  const count = data.vertices.length / 6
+  const vertsPerSeg = radial * 2
+  const IndexArray = count * vertsPerSeg > 65535 ? Uint32Array : Uint16Array
+  const tubes = {
+    positions: new Float32Array(count * vertsPerSeg * 3),
+    normals: new Float32Array(count * vertsPerSeg * 3),
+    colors: new Float32Array(count * vertsPerSeg * 3),
+    index: new IndexArray(count * radial * 6),
+    indicesPerSegment: radial * 6
+  }
+  writeTubes(data, settings, radial, tubes)
+  return tubes
+}
+
+// Moves existing tubes to data's (changed) vertices in place: only positions and normals
+// are rewritten, so a growth animation doesn't allocate a whole new mesh every frame
+export function updateTubeShape(data, settings, radial, positions, normals) {
+  writeTubes(data, settings, radial, { positions, normals })
+}
+
+// Fills out.positions and out.normals, and out.colors and out.index when given
+function writeTubes(data, { width = 0.4, widthDecay = 0.7, thickness = 'depth' }, radial, out) {
+  const { vertices, colors, segmentWidths, segmentDepths, segmentNext } = data
+  const { positions, normals, colors: tubeColors, index } = out
+  const count = vertices.length / 6
+  const radius = new Float32Array(count)
+  for (let s = 0; s < count; s++) {
+    radius[s] = thickness === 'depth' ? width * Math.pow(widthDecay, segmentDepths[s]) : segmentWidths[s]
+  }
+
+  const vertsPerSeg = radial * 2
+  const cos = new Float32Array(radial)
+  const sin = new Float32Array(radial)
+  for (let k = 0; k < radial; k++) {
+    cos[k] = Math.cos(k / radial * Math.PI * 2)
+    sin[k] = Math.sin(k / radial * Math.PI * 2)
+  }
+
+  for (let s = 0; s < count; s++) {
+    const o = s * 6
+    const ax = vertices[o], ay = vertices[o + 1], az = vertices[o + 2]
+    const bx = vertices[o + 3], by = vertices[o + 4], bz = vertices[o + 5]
+    let dx = bx - ax, dy = by - ay, dz = bz - az
+    const l = Math.hypot(dx, dy, dz)
+    if (l > 0) { dx /= l; dy /= l; dz /= l } else { dx = 0; dy = 1; dz = 0 }
+
+    // u, v span the plane perpendicular to the segment: u = d × h for a helper
+    // axis h (world Y, or X when the segment is near vertical), v = d × u
+    const hx = Math.abs(dy) < 0.9 ? 0 : 1
+    const hy = 1 - hx
+    let ux = -dz * hy, uy = dz * hx, uz = dx * hy - dy * hx
+    const ul = Math.hypot(ux, uy, uz)
+    ux /= ul; uy /= ul; uz /= ul
+    const vx = dy * uz - dz * uy, vy = dz * ux - dx * uz, vz = dx * uy - dy * ux
+
+    const r0 = radius[s]
+    const r1 = segmentNext[s] >= 0 ? radius[segmentNext[s]] : r0
+    const cr = colors[o], cg = colors[o + 1], cb = colors[o + 2]
+    const base = s * vertsPerSeg
+
+    for (let k = 0; k < radial; k++) {
+      const nx = cos[k] * ux + sin[k] * vx
+      const ny = cos[k] * uy + sin[k] * vy
+      const nz = cos[k] * uz + sin[k] * vz
+      const ia = (base + k) * 3
+      const ib = (base + radial + k) * 3
+      positions[ia] = ax + nx * r0; positions[ia + 1] = ay + ny * r0; positions[ia + 2] = az + nz * r0
+      positions[ib] = bx + nx * r1; positions[ib + 1] = by + ny * r1; positions[ib + 2] = bz + nz * r1
+      normals[ia] = normals[ib] = nx
+      normals[ia + 1] = normals[ib + 1] = ny
+      normals[ia + 2] = normals[ib + 2] = nz
+      if (!index) continue
+      tubeColors[ia] = tubeColors[ib] = cr
+      tubeColors[ia + 1] = tubeColors[ib + 1] = cg
+      tubeColors[ia + 2] = tubeColors[ib + 2] = cb
+
+      const k2 = (k + 1) % radial
+      const a0 = base + k, a1 = base + k2
+      const b0 = base + radial + k, b1 = base + radial + k2
+      const t = (s * radial + k) * 6
+      index[t] = a0; index[t + 1] = a1; index[t + 2] = b0
+      index[t + 3] = a1; index[t + 4] = b1; index[t + 5] = b0
+    }
+  }
+}
+
+// Fewer sides per tube as the tree grows, to keep the vertex count in check
+export function tubeRadial(data) {
+  const segments = data.vertices.length / 6
+  return segments > 50000 ? 4 : segments > 10000 ? 6 : 8
+}
+
+export function createTubeMesh(tubes) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(tubes.positions, 3))
+  geometry.setAttribute('normal', new THREE.BufferAttribute(tubes.normals, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(tubes.colors, 3))
+  geometry.setIndex(new THREE.BufferAttribute(tubes.index, 1))
+  const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.85, metalness: 0 })
+  const mesh = new THREE.Mesh(geometry, material)
+  mesh.userData.unitsPerSegment = tubes.indicesPerSegment
+  return mesh
+}
+
+// Filled polygons and instanced shapes, lit and double-sided in either render mode.
+// Each mesh keeps its part's `order` in userData.order so revealExtras can grow them with the segments.
+export function createExtras(data) {
+  const group = new THREE.Group()
+  const material = new THREE.MeshStandardMaterial({ vertexColors: true, side: THREE.DoubleSide, roughness: 0.7, metalness: 0 })
+
+  const poly = data.polygons
+  if (poly.positions.length) {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(poly.positions, 3))
+    geometry.setAttribute('normal', new THREE.BufferAttribute(poly.normals, 3))
+    geometry.setAttribute('color', new THREE.BufferAttribute(poly.colors, 3))
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.name = 'polygons'
+    mesh.userData.order = poly.order
+    group.add(mesh)
+  }
+
+  for (const [name, inst] of Object.entries(data.shapes)) {
+    const count = inst.order.length
+    const mesh = new THREE.InstancedMesh(getShapeGeometry(name), material, count)
+    mesh.instanceMatrix.array.set(inst.matrices)
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(inst.colors, 3)
+    mesh.name = name
+    mesh.userData.order = inst.order
+    mesh.userData.sharedGeometry = true
+    mesh.computeBoundingSphere()
+    group.add(mesh)
+  }
+
+  return group.children.length ? group : null
+}
+
+// Tubes plus polygons and shapes in one group, the way the page exports a model in tube mode
+export function createModel(data, settings) {
+  const group = new THREE.Group()
+  const branches = createTubeMesh(buildTubeArrays(data, settings, tubeRadial(data)))
+  branches.name = 'branches'
+  group.add(branches)
+  const extras = createExtras(data)
+  if (extras) group.add(extras)
+  return group
+}
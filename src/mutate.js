@@ -0,0 +1,170 @@
+// ---- Breeding ----
+// Random variations on a grammar for Breed mode, in the spirit of Dawkins' biomorphs:
+// a child is its parent with a few edits to the productions and a little drift in the
+// numeric settings. Edits work on whole modules, so parameters like F(t*0.5) are moved
+// or dropped intact, and brackets are only ever added or removed in matching pairs.
+import { normalizeRules, parseModules, parsePredecessor } from './lsystem.js'
+import { estimateGrowth } from './diagnostics.js'
+
+// Turtle moves always on offer for insertions, next to the grammar's own symbols
+const MOVES = '+-&^\\/|'
+const OPEN = '[{'
+const CLOSE = ']}'
+
+// Numeric settings that drift: each moves by up to ±drift × max(|value|, unit)
+const DRIFT = {
+  angle: { unit: 10, min: 1, max: 180, digits: 1 },
+  len: { unit: 1, min: 0.1, max: Infinity, digits: 2 },
+  twist: { unit: 1, min: 0, max: 1, digits: 3 },
+  width: { unit: 0.1, min: 0.01, max: Infinity, digits: 3 },
+  widthDecay: { unit: 1, min: 0.1, max: 1, digits: 3 },
+  susceptibility: { unit: 0.1, min: -1, max: 1, digits: 3 }
+}
+
+// A child whose last generation is estimated to be this many times bigger than its
+// parent's is redrawn, so one unlucky insertion doesn't eat the memory budget
+const GROWTH_LIMIT = 4
+const ATTEMPTS = 20
+
+const EDITS = [insertSymbol, deleteModule, swapModules, replaceSymbol, wrapBranch]
+
+// params is getParams() form. Returns a new params object; the parent is left alone.
+// edits: production edits per child; drift: fraction for the numeric settings;
+// random: () => [0, 1), Math.random unless you need a repeatable litter.
+export function mutateParams(params, { edits = 2, drift = 0.1, random = Math.random } = {}) {
+  const rules = normalizeRules(params.rules)
+  const alphabet = [...new Set([...MOVES, ...symbolsOf(params.axiom, rules)])]
+  const limit = Math.max(finalSize(params.axiom, rules, params.iterations) * GROWTH_LIMIT, 1000)
+
+  let child = rules
+  for (let attempt = 0; attempt < ATTEMPTS && rules.length; attempt++) {
+    child = rules.map(r => ({ ...r, tokens: tokenize(r.prod) }))
+    for (let n = 0; n < edits; n++) {
+      const rule = child[Math.floor(random() * child.length)]
+      EDITS[Math.floor(random() * EDITS.length)](rule.tokens, alphabet, random)
+    }
+    child = child.map(({ tokens, ...r }) => ({ ...r, prod: tokens.join('') }))
+    if (finalSize(params.axiom, child, params.iterations) <= limit) break
+    child = rules
+  }
+
+  const result = { ...params, rules: child }
+  for (const [key, { unit, min, max, digits }] of Object.entries(DRIFT)) {
+    if (typeof params[key] !== 'number') continue
+    const value = params[key] + (random() * 2 - 1) * drift * Math.max(Math.abs(params[key]), unit)
+    result[key] = +Math.min(max, Math.max(min, value)).toFixed(digits)
+  }
+  return result
+}
+
+// Modules as written: "F(t*0.5)+[X]" -> ['F(t*0.5)', '+', '[', 'X', ']']
+function tokenize(prod) {
+  const tokens = []
+  for (let i = 0; i < prod.length; i++) {
+    if (/\s/.test(prod[i])) continue
+    let end = i + 1
+    if (prod[end] === '(') {
+      for (let depth = 0; end < prod.length; end++) {
+        if (prod[end] === '(') depth++
+        else if (prod[end] === ')' && --depth === 0) { end++; break }
+      }
+    }
+    tokens.push(prod.slice(i, end))
+    i = end - 1
+  }
+  return tokens
+}
+
+// Bare symbols of the axiom and productions, brackets and turtle moves aside
+function symbolsOf(axiom, rules) {
+  const chars = [axiom, ...rules.map(r => r.prod)].map(s => {
+    try {
+      return parseModules(s).chars
+    } catch {
+      return ''
+    }
+  }).join('')
+  return [...chars].filter(ch => !MOVES.includes(ch) && !OPEN.includes(ch) && !CLOSE.includes(ch) && ch !== '.')
+}
+
+// Expected symbols in the last generation, 0 when the grammar doesn't parse
+function finalSize(axiom, rules, iterations) {
+  try {
+    const parsed = rules.map(r => ({
+      sym: parsePredecessor(r.pred).sym,
+      succ: parseModules(r.prod).chars,
+      weight: r.weight
+    }))
+    return estimateGrowth(parseModules(axiom).chars, parsed, iterations).at(-1)
+  } catch {
+    return 0
+  }
+}
+
+const isBracket = t => OPEN.includes(t) || CLOSE.includes(t)
+const pick = (list, random) => list[Math.floor(random() * list.length)]
+
+// Index of the bracket matching tokens[i]
+function partner(tokens, i) {
+  const dir = OPEN.includes(tokens[i]) ? 1 : -1
+  let depth = 0
+  for (let k = i; k >= 0 && k < tokens.length; k += dir) {
+    if (OPEN.includes(tokens[k])) depth += dir
+    else if (CLOSE.includes(tokens[k])) depth -= dir
+    if (depth === 0) return k
+  }
+  return -1
+}
+
+function insertSymbol(tokens, alphabet, random) {
+  tokens.splice(Math.floor(random() * (tokens.length + 1)), 0, pick(alphabet, random))
+}
+
+// One module, or a bracket pair leaving what it held in place; never the last module
+function deleteModule(tokens, alphabet, random) {
+  const i = Math.floor(random() * tokens.length)
+  if (!isBracket(tokens[i])) {
+    if (tokens.filter(t => !isBracket(t)).length > 1) tokens.splice(i, 1)
+    return
+  }
+  const j = partner(tokens, i)
+  if (j < 0) return
+  tokens.splice(Math.max(i, j), 1)
+  tokens.splice(Math.min(i, j), 1)
+}
+
+function swapModules(tokens, alphabet, random) {
+  const pairs = []
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    if (!isBracket(tokens[i]) && !isBracket(tokens[i + 1]) && tokens[i] !== tokens[i + 1]) pairs.push(i)
+  }
+  if (!pairs.length) return
+  const i = pick(pairs, random)
+  const moved = tokens[i]
+  tokens[i] = tokens[i + 1]
+  tokens[i + 1] = moved
+}
+
+// A bare symbol becomes another one; parametric modules keep their arguments' meaning
+function replaceSymbol(tokens, alphabet, random) {
+  const bare = tokens.flatMap((t, i) => t.length === 1 && !isBracket(t) ? [i] : [])
+  if (bare.length) tokens[pick(bare, random)] = pick(alphabet, random)
+}
+
+// Brackets around a balanced run of modules, turning it into a side branch
+function wrapBranch(tokens, alphabet, random) {
+  const starts = tokens.flatMap((t, i) => CLOSE.includes(t) ? [] : [i])
+  if (!starts.length) return
+  const start = pick(starts, random)
+  const ends = []
+  let depth = 0
+  for (let k = start; k < tokens.length; k++) {
+    if (OPEN.includes(tokens[k])) depth++
+    else if (CLOSE.includes(tokens[k]) && --depth < 0) break
+    if (depth === 0) ends.push(k + 1)
+  }
+  if (!ends.length) return
+  const end = pick(ends, random)
+  tokens.splice(end, 0, ']')
+  tokens.splice(start, 0, '[')
+}
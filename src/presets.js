@@ -0,0 +1,197 @@
+// ---- Preset Files ----
+// Checks and encodes presets that come from outside the app: shared links (the URL hash)
+// and imported preset libraries. Anything read from those is validated field by field
+// before it reaches the UI, and only known fields are kept.
+import { normalizeRules } from './lsystem.js'
+import { DEFAULT_SYMBOLS } from './turtle.js'
+import { DEFAULT_GRADIENT } from './colors.js'
+
+const LIBRARY_FORMAT = 'lsystem-lab-presets'
+
+const isString = v => typeof v === 'string'
+const isNumber = v => typeof v === 'number' && isFinite(v)
+const isColor = v => typeof v === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(v)
+const isRule = r => r && isString(r.pred) && isString(r.prod) && (r.weight === undefined || (isNumber(r.weight) && r.weight >= 0))
+const isRules = v => Array.isArray(v)
+  ? v.every(isRule)
+  : v !== null && typeof v === 'object' && Object.values(v).every(isString)
+const isSymbols = v => v !== null && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(isString)
+
+const FIELDS = {
+  axiom: { required: true, check: isString, expect: 'a string' },
+  rules: { required: true, check: isRules, expect: 'a list of { pred, prod, weight } rules' },
+  angle: { required: true, check: isNumber, expect: 'a number' },
+  iterations: { required: true, check: v => Number.isInteger(v) && v >= 0, expect: 'a whole number' },
+  length: { required: true, check: isNumber, expect: 'a number' },
+  twist: { required: true, check: isNumber, expect: 'a number' },
+  seed: { check: Number.isInteger, expect: 'a whole number' },
+  ignore: { check: isString, expect: 'a string' },
+  symbols: { check: isSymbols, expect: 'a map of symbol to action' },
+  width: { check: isNumber, expect: 'a number' },
+  widthDecay: { check: isNumber, expect: 'a number' },
+  thickness: { check: v => v === 'depth' || v === 'width', expect: '"depth" or "width"' },
+  tropism: { check: v => Array.isArray(v) && v.length === 3 && v.every(isNumber), expect: 'an [x, y, z] vector' },
+  susceptibility: { check: isNumber, expect: 'a number' },
+  lengthJitter: { check: v => isNumber(v) && v >= 0, expect: 'a number of at least 0' },
+  angleJitter: { check: v => isNumber(v) && v >= 0, expect: 'a number of at least 0' },
+  jitterDistribution: { check: v => v === 'uniform' || v === 'gaussian', expect: '"uniform" or "gaussian"' },
+  branchColor: { required: true, check: isColor, expect: 'a #RRGGBB color' },
+  leafColor: { required: true, check: isColor, expect: 'a #RRGGBB color' },
+  flowerColor: { check: isColor, expect: 'a #RRGGBB color' },
+  colorMode: { check: v => ['symbol', 'birth', 'depth', 'distance', 'height'].includes(v), expect: 'a color mode' },
+  colorBlend: { check: v => v === 'gradient' || v === 'steps', expect: '"gradient" or "steps"' },
+  gradient: { check: v => Array.isArray(v) && v.length > 0 && v.every(isColor), expect: 'a list of #RRGGBB colors' },
+  tags: { check: v => Array.isArray(v) && v.every(isString), expect: 'a list of strings' },
+  thumbnail: { check: v => isString(v) && v.startsWith('data:image/'), expect: 'an image data URL' }
+}
+
+// A clean copy of p holding only the known fields, with rules in list form.
+// Throws on the first missing or malformed field.
+export function validatePreset(p) {
+  if (p === null || typeof p !== 'object' || Array.isArray(p)) throw new Error('not a preset object')
+  const clean = {}
+  for (const [key, { required, check, expect }] of Object.entries(FIELDS)) {
+    if (p[key] === undefined) {
+      if (required) throw new Error(`missing "${key}"`)
+      continue
+    }
+    if (!check(p[key])) throw new Error(`"${key}" should be ${expect}`)
+    clean[key] = p[key]
+  }
+  clean.rules = normalizeRules(clean.rules)
+  return clean
+}
+
+// ---- Defaults ----
+// What the optional fields are when a preset leaves them out. The page's controls and the
+// headless engine both fill presets in from here, so they draw the same plant.
+export const PRESET_DEFAULTS = {
+  seed: 0,
+  ignore: '',
+  symbols: DEFAULT_SYMBOLS,
+  width: 0.4,
+  widthDecay: 0.7,
+  thickness: 'depth',
+  tropism: [0, -1, 0],
+  susceptibility: 0,
+  lengthJitter: 0,
+  angleJitter: 0,
+  jitterDistribution: 'uniform',
+  flowerColor: '#FFB7C5',
+  colorMode: 'symbol',
+  colorBlend: 'gradient',
+  gradient: DEFAULT_GRADIENT
+}
+
+export function withDefaults(preset) {
+  const full = { ...preset }
+  for (const [key, value] of Object.entries(PRESET_DEFAULTS)) full[key] = preset[key] ?? value
+  return full
+}
+
+// ---- Params ----
+// getParams() holds the same settings as a preset under the same names, except `len`.
+// Tags and thumbnails belong to the saved entry, not the L-system, so params don't carry them.
+const PARAM_NAMES = { length: 'len' }
+const ENTRY_FIELDS = ['tags', 'thumbnail']
+const SETTING_FIELDS = Object.keys(FIELDS).filter(key => !ENTRY_FIELDS.includes(key))
+
+// The preset form of getParams(): what's saved, exported and put in the link
+export function presetFromParams(params) {
+  return Object.fromEntries(SETTING_FIELDS.map(key => [key, params[PARAM_NAMES[key] ?? key]]))
+}
+
+// The getParams() form of a preset, with everything it leaves out filled in
+export function paramsFromPreset(preset) {
+  const full = withDefaults(preset)
+  return Object.fromEntries(SETTING_FIELDS.map(key => [PARAM_NAMES[key] ?? key, full[key]]))
+}
+
+// ---- Shared Links ----
+// A preset as base64url-encoded JSON, short enough for a URL hash
+export function encodeState(preset) {
+  const bytes = new TextEncoder().encode(JSON.stringify(preset))
+  let binary = ''
+  for (const b of bytes) binary += String.fromCharCode(b)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function decodeState(text) {
+  let preset
+  try {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0))
+    preset = JSON.parse(new TextDecoder().decode(bytes))
+  } catch {
+    throw new Error('The link is damaged or incomplete')
+  }
+  try {
+    return validatePreset(preset)
+  } catch (err) {
+    throw new Error(`The link's L-system is invalid: ${err.message}`)
+  }
+}
+
+// ---- Preset Libraries ----
+export function serializeLibrary(presets) {
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: 1, presets }, null, 2)
+}
+
+// Reads a library file, or a bare { name: preset } map. Returns the valid presets and
+// one message per preset that was rejected; throws if the file itself is unreadable.
+export function parseLibrary(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Not a JSON file')
+  }
+  if (data && data.format !== undefined && data.format !== LIBRARY_FORMAT) {
+    throw new Error(`Unknown file format "${data.format}"`)
+  }
+  const entries = data && data.format === LIBRARY_FORMAT ? data.presets : data
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('No presets found in the file')
+  }
+  const presets = {}
+  const errors = []
+  for (const [name, p] of Object.entries(entries)) {
+    try {
+      if (!name.trim()) throw new Error('empty name')
+      presets[name.trim()] = validatePreset(p)
+    } catch (err) {
+      errors.push(`"${name}": ${err.message}`)
+    }
+  }
+  return { presets, errors }
+}
+
+// Adds incoming presets to existing. On a name clash, conflict decides: 'rename' keeps
+// both by numbering the new one "Name (2)", 'replace' overwrites, 'skip' keeps the old.
+export function mergeLibrary(existing, incoming, conflict = 'rename') {
+  const presets = { ...existing }
+  const counts = { added: 0, renamed: 0, replaced: 0, skipped: 0 }
+  for (const [name, p] of Object.entries(incoming)) {
+    if (!Object.hasOwn(presets, name)) {
+      presets[name] = p
+      counts.added++
+    } else if (conflict === 'replace') {
+      presets[name] = p
+      counts.replaced++
+    } else if (conflict === 'skip') {
+      counts.skipped++
+    } else {
+      presets[uniqueName(presets, name)] = p
+      counts.renamed++
+    }
+  }
+  return { presets, ...counts }
+}
+
+// name, or "name (2)", "name (3)"... whichever isn't a key of presets yet
+export function uniqueName(presets, name) {
+  if (!Object.hasOwn(presets, name)) return name
+  let n = 2
+  while (Object.hasOwn(presets, `${name} (${n})`)) n++
+  return `${name} (${n})`
+}
@@ -0,0 +1,535 @@
+// ---- Turtle ----
+// Turns a derived generation into segment, polygon and shape-instance arrays. Uses
+// Three.js math and geometry classes only, never the renderer, so it also runs in a worker.
+import * as THREE from 'three'
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { hash32 } from './lsystem.js'
+
+// ---- Symbol Table ----
+// What each non-structural symbol does when the turtle reads it. Values are an action,
+// optionally with a color slot: "draw", "draw:1", "move", "leaf", "noop", "color:1",
+// or "shape:<name>" to place one of the SHAPES meshes (leaf, flower, bud).
+// Slots index the palette (0 = branch, 1 = leaf, 2 = flower color); draw without a slot
+// uses the current color index, leaf without one uses the leaf color. Unlisted symbols
+// do nothing. The structural commands below keep their fixed meaning and can't be remapped.
+export const TURTLE_COMMANDS = '+-|^&\\/$!\'%[]{}.'
+
+export const DEFAULT_SYMBOLS = {
+  F: 'draw', A: 'draw', B: 'draw:1', X: 'leaf', f: 'move', G: 'move', L: 'shape:leaf', K: 'shape:flower'
+}
+
+export const SYMBOL_ACTIONS = [
+  { value: 'draw', label: 'Draw' },
+  { value: 'draw:0', label: 'Draw (branch color)' },
+  { value: 'draw:1', label: 'Draw (leaf color)' },
+  { value: 'move', label: 'Move' },
+  { value: 'leaf', label: 'Leaf' },
+  { value: 'shape:leaf', label: 'Leaf mesh' },
+  { value: 'shape:flower', label: 'Flower mesh' },
+  { value: 'shape:bud', label: 'Bud mesh' },
+  { value: 'noop', label: 'No-op' },
+  { value: 'color:0', label: 'Color: branch' },
+  { value: 'color:1', label: 'Color: leaf' },
+  { value: 'color:2', label: 'Color: flower' }
+]
+
+function compileSymbols(symbols) {
+  const actions = {}
+  for (const [ch, value] of Object.entries(symbols)) {
+    if (TURTLE_COMMANDS.includes(ch)) continue
+    const [action, arg] = String(value).split(':')
+    if (action === 'shape') {
+      if (Object.hasOwn(SHAPES, arg)) actions[ch] = { action, shape: arg, slot: null }
+    }
+    else actions[ch] = { action, slot: arg !== undefined ? parseInt(arg) : null }
+  }
+  return actions
+}
+
+// ---- Turtle Interpreter ----
+// createTurtle returns a turtle that is fed one symbol at a time: step(code, birth, id,
+// params) with the symbol's char code, birth generation, lineage id and parameters, then
+// finish() for the result. interpretString runs one over a whole derived generation; a
+// turtle can also be fed straight from walkGeneration without any string in memory.
+// Modules with parameters override
+// the globals: F(5) draws a segment of length 5 and +(30) turns by 30° instead of angle.
+// Per segment it also outputs segmentBirths (which gen it was born in), segmentWidths
+// (the turtle width, set by !), segmentDepths (bracket depth), segmentDistances (path
+// length drawn from the root to the segment's start), segmentNext (the segment that
+// continues on from its end in the same branch, or -1) for tube tapering,
+// segmentSymbols (the index of the symbol that drew it) and segmentAnchors (the segment
+// whose end it starts from, branches included, or -1) for growth animation.
+// The 3D twist on + and - is a hash of the symbol's lineage id rather than Math.random,
+// so the same seed gives the same plant and a turn keeps its twist across generations.
+// Tropism bends the heading towards the `tropism` direction after every drawn segment,
+// by susceptibility * |H × T| radians (ABOP ch. 2.2): gravity with the default straight
+// down, or light. lengthJitter (a fraction of the length) and angleJitter (degrees) add
+// per-symbol randomness, uniform within ± or gaussian with that deviation; like twist
+// it's hashed from lineage ids, so it follows the seed and stays put as the plant grows.
+// Filled polygons ({ . }) come back as triangles and shape symbols as per-shape instance
+// matrices; both record `order`, the number of segments drawn before them, so growth
+// animation can reveal them alongside the segments.
+export function interpretString(gen, settings) {
+  const { codes, births, lineage, params } = gen
+  const turtle = createTurtle(settings)
+  for (let i = 0; i < codes.length; i++) turtle.step(codes[i], births[i], lineage[i], params ? params[i] : null)
+  return turtle.finish()
+}
+
+export function createTurtle({
+  angle, len, twist, branchColor, leafColor, flowerColor = '#FFB7C5', symbols = DEFAULT_SYMBOLS,
+  width: startWidth = 0.4, widthDecay = 0.7,
+  tropism = [0, -1, 0], susceptibility = 0, lengthJitter = 0, angleJitter = 0, jitterDistribution = 'uniform'
+}) {
+  const vertices = createBuffer(Float32Array)
+  const colors = createBuffer(Float32Array)
+  const segmentBirths = createBuffer(Uint16Array)
+  const segmentWidths = createBuffer(Float32Array)
+  const segmentDepths = createBuffer(Uint16Array)
+  const segmentDistances = createBuffer(Float32Array)
+  const segmentNext = createBuffer(Int32Array)
+  const segmentSymbols = createBuffer(Uint32Array)
+  const segmentAnchors = createBuffer(Int32Array)
+  const stack = []
+  const polygons = { positions: [], normals: [], colors: [], order: [] }
+  const polyStack = [] // open { polygons: traced path and explicit . vertices
+  const shapes = {}
+
+  let pos = new THREE.Vector3(0, 0, 0)
+  let quat = new THREE.Quaternion()
+  let width = startWidth
+  let colorIndex = 0
+  let lastSeg = -1 // segment ending at pos in the current branch
+  let distance = 0 // path length drawn from the root to pos
+  let anchor = -1 // segment ending at pos, kept into branches
+  let index = -1 // of the current symbol
+  let cut = -1 // bracket depth while skipping a branch cut by %, otherwise -1
+  const up = new THREE.Vector3(0, 1, 0)
+
+  const branchC = new THREE.Color(branchColor)
+  const leafC = new THREE.Color(leafColor)
+  const flowerC = new THREE.Color(flowerColor)
+  // Color map for ' — index 0 is the branch color
+  const palette = [branchC, leafC, flowerC]
+  const actions = compileSymbols(symbols)
+
+  const rad = angle * Math.PI / 180
+  const bend = new THREE.Vector3(...tropism)
+  if (bend.lengthSq() > 0) bend.normalize()
+  const bends = susceptibility !== 0 && bend.lengthSq() > 0
+  const jitter = jitterDistribution === 'gaussian' ? gaussianJitter : uniformJitter
+  const angleSpread = angleJitter * Math.PI / 180
+
+  function step(code, birth, id, p) {
+    const ch = String.fromCharCode(code)
+    index++
+    // Cut: skip the rest of the current branch, up to (not past) its ]
+    if (cut >= 0) {
+      if (ch === '[') cut++
+      else if (ch === ']') cut--
+      if (cut >= 0) return
+    }
+    // First parameter, if any: a length for moves, an angle in degrees for turns
+    let stepLen = p && p.length ? p[0] : len
+    let turn = p && p.length ? p[0] * Math.PI / 180 : rad
+    if (lengthJitter) stepLen *= Math.max(0, 1 + lengthJitter * jitter(id, LENGTH_SALT))
+    if (angleSpread) turn += angleSpread * jitter(id, ANGLE_SALT)
+
+    switch (ch) {
+      case '+': {
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -turn)
+        quat.multiply(q)
+        if (twist > 0) {
+          const yRot = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), twistAmount(id, twist))
+          quat.multiply(yRot)
+        }
+        break
+      }
+      case '-': {
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), turn)
+        quat.multiply(q)
+        if (twist > 0) {
+          const yRot = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), twistAmount(id, twist))
+          quat.multiply(yRot)
+        }
+        break
+      }
+      case '|': { // Turn around
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI)
+        quat.multiply(q)
+        break
+      }
+      case '^': { // Pitch up (rotate around X)
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), turn)
+        quat.multiply(q)
+        break
+      }
+      case '&': { // Pitch down (rotate around X, opposite)
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -turn)
+        quat.multiply(q)
+        break
+      }
+      case '\\': { // Roll left (rotate around Y)
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), turn)
+        quat.multiply(q)
+        break
+      }
+      case '/': { // Roll right (rotate around Y, opposite)
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -turn)
+        quat.multiply(q)
+        break
+      }
+      case '$': // Roll so the turtle's left vector is horizontal
+        rollToHorizontal(quat)
+        break
+      case '!': // Decrement width, or set it: !(w)
+        width = p && p.length ? p[0] : width * widthDecay
+        break
+      case "'": // Next color index, or set it: '(n)
+        colorIndex = Math.max(0, Math.floor(p && p.length ? p[0] : colorIndex + 1))
+        break
+      case '%': // Cut the rest of the branch
+        cut = 0
+        break
+      case '{': // Start a polygon
+        polyStack.push({ path: [pos.clone()], marked: [] })
+        break
+      case '.': // Record a polygon vertex
+        if (polyStack.length) polyStack[polyStack.length - 1].marked.push(pos.clone())
+        break
+      case '}': { // Fill the polygon: its . vertices, or the traced path if it has none
+        const poly = polyStack.pop()
+        if (!poly) break
+        const points = poly.marked.length ? poly.marked : poly.path
+        const c = palette[colorIndex % palette.length]
+        addPolygon(polygons, points, c, segmentBirths.length)
+        break
+      }
+      case '[':
+        stack.push({ pos: pos.clone(), quat: quat.clone(), width, colorIndex, lastSeg, distance, anchor })
+        lastSeg = -1
+        break
+      case ']':
+        if (stack.length > 0) {
+          const state = stack.pop()
+          pos = state.pos
+          quat = state.quat
+          width = state.width
+          colorIndex = state.colorIndex
+          lastSeg = state.lastSeg
+          distance = state.distance
+          anchor = state.anchor
+        }
+        break
+      default: { // Anything else means whatever the symbol table says
+        const sem = actions[ch]
+        if (!sem) break
+        if (sem.action === 'draw') {
+          const dir = up.clone().applyQuaternion(quat).multiplyScalar(stepLen)
+          const newPos = pos.clone().add(dir)
+          vertices.push(pos.x, pos.y, pos.z, newPos.x, newPos.y, newPos.z)
+          const c = palette[(sem.slot ?? colorIndex) % palette.length]
+          colors.push(c.r, c.g, c.b, c.r, c.g, c.b)
+          segmentBirths.push(birth)
+          segmentWidths.push(width)
+          segmentDepths.push(stack.length)
+          segmentDistances.push(distance)
+          segmentNext.push(-1)
+          segmentSymbols.push(index)
+          segmentAnchors.push(anchor)
+          if (lastSeg >= 0) segmentNext.array[lastSeg] = segmentNext.length - 1
+          lastSeg = segmentNext.length - 1
+          anchor = lastSeg
+          distance += stepLen
+          pos = newPos
+          if (polyStack.length) polyStack[polyStack.length - 1].path.push(pos.clone())
+          if (bends) applyTropism(quat, bend, susceptibility)
+        } else if (sem.action === 'move') {
+          pos = pos.clone().add(up.clone().applyQuaternion(quat).multiplyScalar(stepLen))
+          lastSeg = -1
+          anchor = -1
+          if (polyStack.length) polyStack[polyStack.length - 1].path.push(pos.clone())
+        } else if (sem.action === 'shape') {
+          if (!shapes[sem.shape]) shapes[sem.shape] = { matrices: [], colors: [], order: [] }
+          const out = shapes[sem.shape]
+          const size = stepLen * SHAPES[sem.shape].scale
+          const m = new THREE.Matrix4().compose(pos, quat, new THREE.Vector3(size, size, size))
+          out.matrices.push(...m.elements)
+          const c = palette[SHAPES[sem.shape].slot % palette.length]
+          out.colors.push(c.r, c.g, c.b)
+          out.order.push(segmentBirths.length)
+        } else if (sem.action === 'leaf') {
+          const dir1 = up.clone().applyQuaternion(quat)
+          const left = new THREE.Vector3(1, 0, 0).applyQuaternion(quat)
+          const leafLen = stepLen * 0.5
+          const tip1 = pos.clone().add(dir1.clone().multiplyScalar(leafLen)).add(left.clone().multiplyScalar(leafLen * 0.3))
+          const tip2 = pos.clone().add(dir1.clone().multiplyScalar(leafLen)).sub(left.clone().multiplyScalar(leafLen * 0.3))
+          vertices.push(pos.x, pos.y, pos.z, tip1.x, tip1.y, tip1.z)
+          vertices.push(pos.x, pos.y, pos.z, tip2.x, tip2.y, tip2.z)
+          const c = palette[(sem.slot ?? 1) % palette.length]
+          colors.push(c.r, c.g, c.b, c.r, c.g, c.b)
+          colors.push(c.r, c.g, c.b, c.r, c.g, c.b)
+          segmentBirths.push(birth, birth)
+          segmentWidths.push(width, width)
+          segmentDepths.push(stack.length, stack.length)
+          segmentDistances.push(distance, distance)
+          segmentSymbols.push(index, index)
+          segmentAnchors.push(anchor, anchor)
+          segmentNext.push(-1, -1)
+        } else if (sem.action === 'color') {
+          colorIndex = sem.slot ?? 0
+        }
+        break
+      }
+    }
+  }
+
+  const finish = () => ({
+    vertices: vertices.toArray(),
+    colors: colors.toArray(),
+    segmentBirths: segmentBirths.toArray(),
+    segmentWidths: segmentWidths.toArray(),
+    segmentDepths: segmentDepths.toArray(),
+    segmentDistances: segmentDistances.toArray(),
+    segmentNext: segmentNext.toArray(),
+    segmentSymbols: segmentSymbols.toArray(),
+    segmentAnchors: segmentAnchors.toArray(),
+    polygons: {
+      positions: new Float32Array(polygons.positions),
+      normals: new Float32Array(polygons.normals),
+      colors: new Float32Array(polygons.colors),
+      order: new Uint32Array(polygons.order)
+    },
+    shapes: Object.fromEntries(Object.entries(shapes).map(([name, s]) => [name, {
+      matrices: new Float32Array(s.matrices),
+      colors: new Float32Array(s.colors),
+      order: new Uint32Array(s.order)
+    }]))
+  })
+
+  return { step, finish }
+}
+
+// Typed array that doubles as it fills, so long runs never pass through plain JS arrays
+function createBuffer(Type) {
+  let array = new Type(1024)
+  let length = 0
+  return {
+    get array() { return array },
+    get length() { return length },
+    push(...values) {
+      if (length + values.length > array.length) {
+        const grown = new Type(array.length * 2)
+        grown.set(array)
+        array = grown
+      }
+      for (const v of values) array[length++] = v
+    },
+    toArray: () => array.slice(0, length)
+  }
+}
+
+// Triangulate a (roughly planar) polygon and append it to out. The points are projected
+// onto their best-fit plane (Newell's method) and ear-clipped there.
+function addPolygon(out, points, color, order) {
+  if (points.length < 3) return
+  const n = new THREE.Vector3()
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i]
+    const b = points[(i + 1) % points.length]
+    n.x += (a.y - b.y) * (a.z + b.z)
+    n.y += (a.z - b.z) * (a.x + b.x)
+    n.z += (a.x - b.x) * (a.y + b.y)
+  }
+  if (n.lengthSq() < 1e-12) return
+  n.normalize()
+  const u = (Math.abs(n.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0)).cross(n).normalize()
+  const v = new THREE.Vector3().crossVectors(n, u)
+  const contour = points.map(p => new THREE.Vector2(p.dot(u), p.dot(v)))
+  const e1 = new THREE.Vector3()
+  const e2 = new THREE.Vector3()
+  for (let [a, b, c] of THREE.ShapeUtils.triangulateShape(contour, [])) {
+    // Keep the winding consistent with the normal
+    e1.subVectors(points[b], points[a])
+    e2.subVectors(points[c], points[a])
+    if (e1.cross(e2).dot(n) < 0) [b, c] = [c, b]
+    for (const p of [points[a], points[b], points[c]]) {
+      out.positions.push(p.x, p.y, p.z)
+      out.normals.push(n.x, n.y, n.z)
+      out.colors.push(color.r, color.g, color.b)
+    }
+    out.order.push(order)
+  }
+}
+
+// Turtle frame: heading is local +Y, left is local +X, up is local +Z.
+// $ rotates around the heading so left lies in the horizontal plane (ABOP: L = V × H).
+const VERTICAL = new THREE.Vector3(0, 1, 0)
+
+function rollToHorizontal(quat) {
+  const heading = new THREE.Vector3(0, 1, 0).applyQuaternion(quat)
+  const left = new THREE.Vector3().crossVectors(VERTICAL, heading)
+  if (left.lengthSq() < 1e-10) return // heading is vertical, any roll is horizontal
+  left.normalize()
+  // Pick the horizontal direction closest to the current left, so $ never flips the turtle
+  if (left.dot(new THREE.Vector3(1, 0, 0).applyQuaternion(quat)) < 0) left.negate()
+  const turtleUp = new THREE.Vector3().crossVectors(left, heading)
+  quat.setFromRotationMatrix(new THREE.Matrix4().makeBasis(left, heading, turtleUp))
+}
+
+const TWIST_SALT = 0x7457
+
+function twistAmount(id, twist) {
+  return hash32(id, TWIST_SALT) / 4294967296 * twist * Math.PI
+}
+
+// Turn the heading towards direction (a unit vector) about H × T, by e * |H × T|
+function applyTropism(quat, direction, e) {
+  const heading = new THREE.Vector3(0, 1, 0).applyQuaternion(quat)
+  const axis = heading.cross(direction)
+  const torque = axis.length()
+  if (torque < 1e-9) return
+  quat.premultiply(new THREE.Quaternion().setFromAxisAngle(axis.divideScalar(torque), e * torque))
+}
+
+// ---- Jitter ----
+// Per-symbol random offsets from hashed lineage ids: uniform in [-1, 1), or standard normal
+const LENGTH_SALT = 0x6c656e
+const ANGLE_SALT = 0x616e67
+
+function uniformJitter(id, salt) {
+  return hash32(id, salt) / 2147483648 - 1
+}
+
+// Box-Muller from two independent hashes
+function gaussianJitter(id, salt) {
+  const u1 = (hash32(id, salt) + 1) / 4294967297
+  const u2 = hash32(id, salt + 1) / 4294967296
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2)
+}
+
+// ---- Growth Origins ----
+// Where each segment of a generation starts out when animating growth from the previous
+// one (prev, or null for the first): a Float32Array laid out like data.vertices.
+// parents maps each symbol to the one it came from in the previous generation and
+// genIndex is this generation's number.
+//   - A segment whose symbol wasn't rewritten starts where that symbol drew it before.
+//   - Symbols rewritten from one that drew a segment share out that old segment: the
+//     ones at the same bracket depth split it in turn (so F -> FF lengthens smoothly)
+//     and bracketed branches sprout with zero length from the point they branch off.
+//   - Anything else sprouts with zero length from the start position of the segment it
+//     grows from (segmentAnchors), so new growth follows its parent as that moves.
+// Animating every segment from here to its final position grows all branches at once.
+export function growthOrigins(prev, data, parents, genIndex) {
+  const { vertices, segmentBirths, segmentDepths, segmentSymbols, segmentAnchors } = data
+  const count = vertices.length / 6
+  const from = new Float32Array(vertices.length)
+  const symbolCount = count ? segmentSymbols[count - 1] + 1 : 0
+
+  // First segment each previous symbol drew, and per previous symbol how many new
+  // segments share its old one and how many have taken their share so far
+  const prevCount = prev && prev.segmentSymbols.length
+  const oldSymbols = prevCount ? prev.segmentSymbols[prevCount - 1] + 1 : 0
+  const oldSeg = new Int32Array(oldSymbols).fill(-1)
+  for (let s = prevCount - 1; s >= 0; s--) oldSeg[prev.segmentSymbols[s]] = s
+  const shareTotal = new Uint32Array(oldSymbols)
+  const shareDone = new Uint32Array(oldSymbols)
+  const firstSeg = new Int32Array(symbolCount).fill(-1) // first segment of each symbol
+
+  const sourceOf = s => {
+    if (!parents) return -1
+    const j = parents[segmentSymbols[s]]
+    return j < oldSymbols ? oldSeg[j] : -1
+  }
+  for (let s = 0; s < count; s++) {
+    const o = sourceOf(s)
+    if (o >= 0 && segmentBirths[s] === genIndex && segmentDepths[s] === prev.segmentDepths[o]) {
+      shareTotal[parents[segmentSymbols[s]]]++
+    }
+  }
+
+  for (let s = 0; s < count; s++) {
+    const sym = segmentSymbols[s]
+    if (firstSeg[sym] < 0) firstSeg[sym] = s
+    const k = s * 6
+    const o = sourceOf(s)
+    if (o >= 0 && segmentBirths[s] !== genIndex) {
+      // Unchanged symbol: same segment as before (leaves draw two, so keep the offset)
+      from.set(prev.vertices.subarray((o + s - firstSeg[sym]) * 6, (o + s - firstSeg[sym]) * 6 + 6), k)
+    } else if (o >= 0) {
+      const j = parents[sym]
+      const ov = prev.vertices
+      const total = shareTotal[j] || 1
+      const f0 = shareDone[j] / total
+      if (segmentDepths[s] === prev.segmentDepths[o]) shareDone[j]++
+      const f1 = shareDone[j] / total
+      for (let c = 0; c < 3; c++) {
+        const a = ov[o * 6 + c]
+        const d = ov[o * 6 + 3 + c] - a
+        from[k + c] = a + d * f0
+        from[k + 3 + c] = a + d * f1
+      }
+    } else {
+      // Zero length at the end of the anchor segment as it starts out, or where it is
+      const anchor = segmentAnchors[s]
+      const src = anchor >= 0 ? from : vertices
+      const a = anchor >= 0 ? anchor * 6 + 3 : k
+      for (let c = 0; c < 3; c++) from[k + c] = from[k + 3 + c] = src[a + c]
+    }
+  }
+  return from
+}
+
+// ---- Leaf & Flower Shapes ----
+// Built-in meshes for shape symbols, modeled in the turtle frame (heading +Y, left +X)
+// at unit size and scaled by the step length. They're white so the per-instance color
+// shows through; the flower's center is tinted. slot is the palette color each one takes.
+export const SHAPES = {
+  leaf: { slot: 1, scale: 0.8, build: buildLeafGeometry },
+  flower: { slot: 2, scale: 0.6, build: buildFlowerGeometry },
+  bud: { slot: 2, scale: 0.5, build: () => new THREE.IcosahedronGeometry(0.2, 1).translate(0, 0.2, 0) }
+}
+
+function buildLeafGeometry() {
+  const shape = new THREE.Shape()
+  shape.moveTo(0, 0)
+  shape.quadraticCurveTo(0.45, 0.4, 0, 1)
+  shape.quadraticCurveTo(-0.45, 0.4, 0, 0)
+  return new THREE.ShapeGeometry(shape, 6)
+}
+
+function buildFlowerGeometry() {
+  const petal = new THREE.Shape()
+  petal.moveTo(0, 0)
+  petal.quadraticCurveTo(0.3, 0.35, 0, 0.6)
+  petal.quadraticCurveTo(-0.3, 0.35, 0, 0)
+  const parts = []
+  for (let k = 0; k < 5; k++) {
+    // Lay each petal out sideways from the heading, cupped slightly forward
+    const g = new THREE.ShapeGeometry(petal, 4)
+    g.rotateX(Math.PI / 2 - 0.4)
+    g.rotateY(k / 5 * Math.PI * 2)
+    parts.push(paintGeometry(g, 1, 1, 1))
+  }
+  const center = new THREE.SphereGeometry(0.12, 8, 6).translate(0, 0.05, 0)
+  parts.push(paintGeometry(center, 1, 0.85, 0.3))
+  return mergeGeometries(parts)
+}
+
+function paintGeometry(geometry, r, g, b) {
+  const count = geometry.attributes.position.count
+  const colors = new Float32Array(count * 3)
+  for (let i = 0; i < count; i++) colors.set([r, g, b], i * 3)
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+  return geometry
+}
+
+const shapeGeometryCache = {}
+
+export function getShapeGeometry(name) {
+  if (!shapeGeometryCache[name]) {
+    const g = SHAPES[name].build()
+    shapeGeometryCache[name] = g.attributes.color ? g : paintGeometry(g, 1, 1, 1)
+  }
+  return shapeGeometryCache[name]
+}
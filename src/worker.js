@@ -0,0 +1,164 @@
+// ---- Generation Worker ----
+// Derives every generation and runs the turtle over each one off the main thread, then
+// hands the geometry back with its typed arrays transferred rather than copied.
+// In:  { params, budget, stream } — params from getParams(), budget in bytes, and stream
+//      to interpret straight from the rules without keeping any generation's symbols.
+//      Or { sweep, budget } — a list of params, each drawn at its last generation only.
+// Out: { type: 'progress', gen, total } after each generation (or sweep cell), then
+//      { type: 'done', generations, geometries, warning } or { type: 'error', message }.
+//      generations[i] is { codes, births, parents, rules } for generation i (no parents
+//      or rules for generation 0, see deriveGenerations), or null when streamed.
+//      Derived (not streamed) geometries also get growFrom, see growthOrigins.
+import { deriveGenerations, walkGeneration } from './lsystem.js'
+import { interpretString, createTurtle, growthOrigins } from './turtle.js'
+
+// Rough cost of one derived symbol while it's being worked on: its code, birth gen and
+// lineage id plus the rule chosen for it, or the boxed parameter lists of a parametric module
+const SYMBOL_BYTES = 16
+const PARAM_SYMBOL_BYTES = 96
+
+self.onmessage = ({ data: { params, budget, stream, sweep } }) => {
+  let result
+  try {
+    result = sweep ? sweepAll(sweep, budget)
+      : stream ? streamAll(params, budget)
+      : deriveAll(params, budget)
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message })
+    return
+  }
+  const { generations, geometries, warning } = result
+  const transfer = [
+    ...geometries.flatMap(data => typedArrays(data).map(a => a.buffer)),
+    ...generations.flatMap(g => g ? [g.codes, g.births, g.parents, g.rules].filter(Boolean).map(a => a.buffer) : [])
+  ]
+  self.postMessage({ type: 'done', generations, geometries, warning }, transfer)
+}
+
+// Keeps the geometries within budget. accept(data, symbols, workBytes, keptBytes) is called
+// with each generation; returns false, with a warning set, when the next one won't fit,
+// predicting its size from how much the last one grew.
+function createBudget(budget, total) {
+  const geometries = []
+  let used = 0
+  let prevSymbols = 0
+  let bytesPerSymbol = 0
+  const state = { geometries, warning: null }
+
+  state.accept = (data, symbols, workBytes, keptBytes) => {
+    const index = geometries.length
+    const bytes = byteSize(data) + keptBytes
+    if (index > 0 && used + bytes + workBytes > budget) {
+      state.warning = overBudget(index, symbols, used + bytes + workBytes, budget)
+      return false
+    }
+    geometries.push(data)
+    used += bytes
+    self.postMessage({ type: 'progress', gen: index, total })
+    if (index === total) return false
+
+    bytesPerSymbol = symbols ? (bytes + workBytes) / symbols : bytesPerSymbol
+    const growth = prevSymbols ? symbols / prevSymbols : 1
+    prevSymbols = symbols
+    const nextSymbols = Math.ceil(symbols * growth)
+    const nextBytes = nextSymbols * bytesPerSymbol
+    if (used + nextBytes > budget) {
+      state.warning = overBudget(index + 1, nextSymbols, used + nextBytes, budget)
+      return false
+    }
+    return true
+  }
+  return state
+}
+
+function deriveAll(params, budget) {
+  const { axiom, iterations, seed, ignore, rules } = params
+  const limit = createBudget(budget, iterations)
+  const generations = []
+  let prev = null
+  for (const gen of deriveGenerations(axiom, rules, iterations, { seed, ignore })) {
+    const data = interpretString(gen, params)
+    data.growFrom = growthOrigins(prev, data, gen.parents, generations.length)
+    prev = data
+    const n = gen.codes.length
+    const kept = gen.codes.byteLength + gen.births.byteLength + (gen.parents ? gen.parents.byteLength + gen.rules.byteLength : 0)
+    const more = limit.accept(data, n, n * (gen.params ? PARAM_SYMBOL_BYTES : SYMBOL_BYTES), kept)
+    if (limit.geometries.length > generations.length) {
+      generations.push({ codes: gen.codes, births: gen.births, parents: gen.parents, rules: gen.rules })
+    }
+    if (!more) break
+  }
+  return { generations, geometries: limit.geometries, warning: limit.warning }
+}
+
+// Every generation is walked from the axiom again, so nothing but geometry is ever held
+function streamAll(params, budget) {
+  const { axiom, iterations, seed, rules } = params
+  const limit = createBudget(budget, iterations)
+  for (let n = 0; n <= iterations; n++) {
+    const turtle = createTurtle(params)
+    const symbols = walkGeneration(axiom, rules, n, { seed }, turtle.step)
+    if (!limit.accept(turtle.finish(), symbols, 0, 0)) break
+  }
+  return { generations: limit.geometries.map(() => null), geometries: limit.geometries, warning: limit.warning }
+}
+
+// Cells are drawn in order until the next one won't fit. Neighbouring cells that only
+// differ in how they're drawn (angle, length, ...) share one derivation.
+function sweepAll(cells, budget) {
+  const geometries = []
+  let used = 0
+  let warning = null
+  let derived = { key: null, gen: null }
+  for (const [i, params] of cells.entries()) {
+    const { axiom, rules, iterations, seed, ignore } = params
+    const key = JSON.stringify([axiom, rules, iterations, seed, ignore])
+    if (key !== derived.key) derived = { key, gen: lastGeneration(params, budget - used) }
+    const data = derived.gen && interpretString(derived.gen, params)
+    const bytes = data ? byteSize(data) : Infinity
+    if (used + bytes > budget) {
+      warning = `Stopped after ${i} of ${cells.length} cells, the next one goes over the ` +
+        `${formatMB(budget)} memory budget. Lower the iterations or raise the budget.`
+      break
+    }
+    geometries.push(data)
+    used += bytes
+    self.postMessage({ type: 'progress', gen: i, total: cells.length - 1 })
+  }
+  return { generations: [], geometries, warning }
+}
+
+// The last generation of params, or null as soon as one won't fit in room bytes
+function lastGeneration(params, room) {
+  const { axiom, iterations, seed, ignore, rules } = params
+  let last = null
+  for (const gen of deriveGenerations(axiom, rules, iterations, { seed, ignore })) {
+    if (gen.codes.length * (gen.params ? PARAM_SYMBOL_BYTES : SYMBOL_BYTES) > room) return null
+    last = gen
+  }
+  return last
+}
+
+function overBudget(index, symbols, bytes, budget) {
+  return `Stopped before generation ${index}: about ${symbols.toLocaleString()} symbols, ` +
+    `${formatMB(bytes)} in total, over the ${formatMB(budget)} memory budget. ` +
+    'Lower the iterations or raise the budget.'
+}
+
+function formatMB(bytes) {
+  return `${Math.ceil(bytes / 1048576).toLocaleString()} MB`
+}
+
+function typedArrays(data) {
+  return [
+    data.vertices, data.colors, data.segmentBirths, data.segmentWidths, data.segmentDepths,
+    data.segmentDistances, data.segmentNext, data.segmentSymbols, data.segmentAnchors,
+    ...(data.growFrom ? [data.growFrom] : []),
+    ...Object.values(data.polygons),
+    ...Object.values(data.shapes).flatMap(s => Object.values(s))
+  ]
+}
+
+function byteSize(data) {
+  return typedArrays(data).reduce((sum, a) => sum + a.byteLength, 0)
+}
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import { promisify } from 'node:util'
+import { mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { serializeLibrary } from '../src/engine.js'
+
+const CLI = fileURLToPath(new URL('../bin/lsystem-lab.js', import.meta.url))
+const PLANT = fileURLToPath(new URL('fixtures/plant.json', import.meta.url))
+const run = (...args) => promisify(execFile)(process.execPath, [CLI, ...args])
+
+const preset = JSON.parse(readFileSync(PLANT, 'utf8'))
+
+let dir
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'lsystem-lab-'))
+  const library = { 'Small Plant': preset, 'small plant!': { ...preset, angle: 30 }, 'Bigger Plant': { ...preset, iterations: 4 } }
+  writeFileSync(join(dir, 'library.json'), serializeLibrary(library))
+})
+after(() => rmSync(dir, { recursive: true, force: true }))
+
+test('renders a preset to SVG, OBJ and STL', async () => {
+  const { stdout } = await run('render', PLANT, '--out', join(dir, 'plant.svg'))
+  assert.match(stdout, /plant\.svg: plant, generation 3, 92 segments/)
+  assert.match(readFileSync(join(dir, 'plant.svg'), 'utf8'), /<svg[^>]*>[\s\S]*<polyline/)
+
+  await run('render', PLANT, '--gen', '2', '--out', join(dir, 'plant.obj'))
+  const obj = readFileSync(join(dir, 'plant.obj'), 'utf8')
+  assert.match(obj, /^v /m)
+  assert.match(obj, /^f /m)
+
+  await run('render', PLANT, '-o', join(dir, 'plant.stl'))
+  const stl = readFileSync(join(dir, 'plant.stl'))
+  const triangles = stl.readUInt32LE(80)
+  assert.ok(triangles > 0)
+  assert.equal(stl.length, 84 + triangles * 50)
+})
+
+test('renders every preset of a library into a directory, numbering clashing names', async () => {
+  const out = join(dir, 'models')
+  const { stdout } = await run('render', join(dir, 'library.json'), '--format', 'obj', '--out', out)
+  assert.equal(stdout.trim().split('\n').length, 3)
+  assert.deepEqual(readdirSync(out).sort(), ['bigger-plant-gen4.obj', 'small-plant-gen3-2.obj', 'small-plant-gen3.obj'])
+  assert.match(readFileSync(join(out, 'bigger-plant-gen4.obj'), 'utf8'), /^v /m)
+  assert.notEqual(readFileSync(join(out, 'small-plant-gen3.obj'), 'utf8'), readFileSync(join(out, 'small-plant-gen3-2.obj'), 'utf8'))
+})
+
+test('fails with a message on bad input', async () => {
+  const fails = (pattern) => err => err.code === 1 && pattern.test(err.stderr)
+  await assert.rejects(run('render', join(dir, 'missing.json')), fails(/can't read/))
+  await assert.rejects(run('render', join(dir, 'library.json'), '--out', join(dir, 'one.svg')), fails(/give a directory/))
+  await assert.rejects(run('render', PLANT, '--out', join(dir, 'tree.png')), fails(/unknown format "png"/))
+  await assert.rejects(run('render', PLANT, '--format', 'glb'), fails(/unknown format "glb"/))
+  await assert.rejects(run('render', PLANT, '--gen', 'two'), fails(/--gen/))
+  assert.ok(!readdirSync(dir).includes('tree.png'))
+})
@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { colorSegments, birthPalette } from '../src/colors.js'
+
+// Three vertical segments, at heights 0-1, 1-2 and 4-5
+const data = {
+  vertices: new Float32Array([0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 2, 0, 0, 4, 0, 0, 5, 0]),
+  segmentBirths: new Uint16Array([0, 1, 2]),
+  segmentDepths: new Uint16Array([0, 2, 1]),
+  segmentDistances: new Float32Array([0, 1, 4])
+}
+
+// Red channel of each segment's first vertex, rounded
+const reds = colors => [...colors].filter((v, i) => i % 6 === 0).map(v => Math.round(v * 100) / 100)
+
+test('each mode spreads its quantity over the whole gradient', () => {
+  const gradient = ['#000000', '#ffffff']
+  assert.deepEqual(reds(colorSegments(data, { mode: 'birth', gradient }, 4)), [0, 0.25, 0.5])
+  assert.deepEqual(reds(colorSegments(data, { mode: 'depth', gradient }, 4)), [0, 1, 0.5])
+  assert.deepEqual(reds(colorSegments(data, { mode: 'distance', gradient }, 4)), [0, 0.25, 1])
+  assert.deepEqual(reds(colorSegments(data, { mode: 'height', gradient }, 4)), [0, 0.25, 1])
+})
+
+test('steps cycles whole-number quantities and bands the rest', () => {
+  const gradient = ['#000000', '#ffffff']
+  assert.deepEqual(reds(colorSegments(data, { mode: 'birth', blend: 'steps', gradient }, 4)), [0, 1, 0])
+  assert.deepEqual(reds(colorSegments(data, { mode: 'depth', blend: 'steps', gradient }, 4)), [0, 0, 1])
+  assert.deepEqual(reds(colorSegments(data, { mode: 'height', blend: 'steps', gradient }, 4)), [0, 0, 1])
+})
+
+test('birthPalette gives the color of each generation', () => {
+  assert.deepEqual(birthPalette({ blend: 'steps', gradient: ['#ff0000', '#00ff00'] }, 3), ['#ff0000', '#00ff00', '#ff0000', '#00ff00'])
+  assert.deepEqual(birthPalette({ gradient: ['#000000', '#ffffff'] }, 2), ['#000000', '#bcbcbc', '#ffffff'])
+  assert.deepEqual(birthPalette({ gradient: ['#123456'] }, 0), ['#123456'])
+})
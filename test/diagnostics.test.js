@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diagnoseGrammar, estimateGrowth } from '../src/diagnostics.js'
+import { DEFAULT_SYMBOLS } from '../src/turtle.js'
+
+const MB = 1048576
+
+function diagnose(axiom, rows, { iterations = 4, budget = 256 * MB } = {}) {
+  const rules = rows.map(([pred, prod, weight = 1]) => ({ pred, prod, weight }))
+  return diagnoseGrammar({ axiom, rows: rules, symbols: DEFAULT_SYMBOLS, iterations, budget })
+}
+
+const messages = ({ problems }) => problems.map(p => `${p.level} ${p.row}: ${p.message}`)
+
+test('a sound grammar has nothing to report', () => {
+  assert.deepEqual(messages(diagnose('X', [['X', 'F[+X]F[-X]+X'], ['F', 'FF']])), [])
+})
+
+test('flags rows that are empty, unparsable, repeated or never chosen', () => {
+  assert.deepEqual(messages(diagnose('X', [
+    ['', ''],
+    ['X', ''],
+    ['X', 'F(t'],
+    ['A(t) : t >', 'F'],
+    ['X', 'F X'],
+    ['X', 'FX'],
+    ['X', 'FF', 0]
+  ])), [
+    'warning 0: Rule 1 is empty and ignored',
+    'warning 1: Rule 2 has no production and is ignored',
+    `error 2: Rule 3: Unclosed '(' after F in "F(t"`,
+    'error 3: Rule 4: Unexpected end of expression in "t >"',
+    'warning 5: Rule 6 repeats rule 5',
+    "warning 6: Rule 7 has weight 0, so it's never chosen",
+    'info 4: "X" has 2 rules; each step picks one at random by weight'
+  ])
+})
+
+test('flags unbalanced brackets and symbols that do nothing', () => {
+  assert.deepEqual(messages(diagnose('[Q', [['Q', 'F]+[Q']])), [
+    'warning -1: The axiom leaves 1 "[" unclosed',
+    'warning 0: Rule 1 has a "]" with no "[" before it; the turtle ignores it',
+    'warning 0: Rule 1 leaves 1 "[" unclosed'
+  ])
+  assert.deepEqual(messages(diagnose('FZ', [])), ['warning -1: "Z" has no rule and no turtle meaning, so it does nothing'])
+})
+
+test('warns when the derivation will outgrow the memory budget', () => {
+  const { problems, counts } = diagnose('F', [['F', 'FF']], { iterations: 20, budget: 16 * MB })
+  assert.equal(counts[20], 2 ** 20)
+  assert.equal(problems.length, 1)
+  assert.match(problems[0].message, /symbols in generation 16: likely to stop before it at the 16 MB memory budget/)
+})
+
+test('estimateGrowth averages alternatives by weight', () => {
+  const rules = [{ sym: 'F', succ: 'FFF', weight: 1 }, { sym: 'F', succ: 'F', weight: 1 }]
+  assert.deepEqual(estimateGrowth('FX', rules, 3), [2, 3, 5, 9])
+})
@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { presetParams, renderPreset, PRESET_DEFAULTS, DEFAULT_SYMBOLS } from '../src/engine.js'
+
+const preset = JSON.parse(readFileSync(new URL('fixtures/plant.json', import.meta.url), 'utf8'))
+
+test('presetParams fills in the defaults the page uses', () => {
+  const params = presetParams(preset)
+  assert.equal(params.len, preset.length)
+  assert.equal(params.length, undefined)
+  assert.deepEqual(params.symbols, DEFAULT_SYMBOLS)
+  for (const [key, value] of Object.entries(PRESET_DEFAULTS)) assert.deepEqual(params[key], value, key)
+  assert.equal(presetParams({ ...preset, width: 0.1 }).width, 0.1)
+  assert.throws(() => presetParams({ ...preset, angle: 'wide' }), /"angle" should be a number/)
+})
+
+test('renderPreset draws the requested generation', () => {
+  const { params, generation, data } = renderPreset(preset)
+  assert.equal(params.iterations, 3)
+  assert.equal(data.vertices.length / 6, 92)
+  assert.equal(Math.max(...generation.births), 3)
+  assert.equal(renderPreset(preset, { generation: 1 }).data.vertices.length / 6, 8)
+})
+
+test('Color By modes recolor the segments', () => {
+  const plain = renderPreset(preset).data.colors
+  const colored = renderPreset({ ...preset, colorMode: 'height', gradient: ['#000000', '#ffffff'] }).data.colors
+  assert.equal(colored.length, plain.length)
+  assert.notDeepEqual(colored, plain)
+})
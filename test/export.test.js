@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { deriveGenerations } from '../src/lsystem.js'
+import { interpretString } from '../src/turtle.js'
+import { buildSVG, projectPlane, fitPNGSize, PNG_MAX_SIDE, PNG_MAX_AREA } from '../src/export.js'
+
+const SETTINGS = { angle: 90, len: 1, twist: 0, branchColor: '#ff0000', leafColor: '#00ff00' }
+
+function draw(str) {
+  const [gen] = deriveGenerations(str, [], 0)
+  return interpretString(gen, SETTINGS)
+}
+
+const polylines = svg => [...svg.matchAll(/<polyline points="([^"]*)" stroke="([^"]*)"/g)].map(m => [m[1], m[2]])
+
+test('joins segments that continue each other into one polyline per color', () => {
+  assert.deepEqual(polylines(buildSVG(draw('F+F+F'), projectPlane)), [['0,0 0,-1 1,-1 1,0', '#ff0000']])
+  // The branch carries on the trunk's line; the trunk resuming after it starts a new one
+  assert.deepEqual(polylines(buildSVG(draw('F[+F]F'), projectPlane)), [
+    ['0,0 0,-1 1,-1', '#ff0000'],
+    ['0,-1 0,-2', '#ff0000']
+  ])
+  assert.deepEqual(polylines(buildSVG(draw('FFBF'), projectPlane)), [
+    ['0,0 0,-1 0,-2', '#ff0000'],
+    ['0,-2 0,-3', '#00ff00'],
+    ['0,-3 0,-4', '#ff0000']
+  ])
+  assert.equal(polylines(buildSVG(draw('FfF'), projectPlane)).length, 2)
+})
+
+test('fits the viewBox to the drawing', () => {
+  const svg = buildSVG(draw('F+F'), projectPlane, { strokeWidth: 0.1 })
+  assert.match(svg, /viewBox="-0.2 -1.2 1.4 1.4"/)
+  assert.match(svg, /stroke-width="0.1"/)
+  assert.match(buildSVG(draw('{F+F+F}'), projectPlane), /<polygon points="[^"]*" fill="#ff0000" stroke="none"\/>/)
+})
+
+test('PNG sizes shrink to the canvas limits, keeping their aspect ratio', () => {
+  assert.deepEqual(fitPNGSize(7680, 4320), [7680, 4320])
+  const [w, h] = fitPNGSize(32000, 32000)
+  assert.ok(w * h <= PNG_MAX_AREA && w === h)
+  const [wide, short] = fitPNGSize(100000, 1000)
+  assert.ok(wide <= PNG_MAX_SIDE)
+  assert.ok(Math.abs(wide / short - 100) < 1)
+})
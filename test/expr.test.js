@@ -0,0 +1,22 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { compileExpression, splitArgs } from '../src/expr.js'
+
+test('evaluates arithmetic with the usual precedence', () => {
+  const f = compileExpression('a + b * 2 ^ 2', ['a', 'b'])
+  assert.equal(f([1, 3]), 13)
+  assert.equal(compileExpression('-2^2')([]), -4)
+  assert.equal(compileExpression('max(1, 4) % 3 + floor(PI)')([]), 4)
+  assert.equal(compileExpression('t > 2 && t != 5 ? 1 : 0', ['t'])([3]), 1)
+})
+
+test('only sees the names it was compiled against', () => {
+  assert.throws(() => compileExpression('x + 1', ['t']), /Unknown name 'x'/)
+  assert.throws(() => compileExpression('constructor(1)'), /Unknown function 'constructor'/)
+  assert.throws(() => compileExpression('(1 + 2'), /Expected '\)'/)
+  assert.throws(() => compileExpression(''), /Empty expression/)
+})
+
+test('splits arguments on top-level commas only', () => {
+  assert.deepEqual(splitArgs('a, f(b, c), d'), ['a', ' f(b, c)', ' d'])
+})
@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseGrammar, formatGrammar } from '../src/grammar-text.js'
+
+test('parses settings, comments and weighted rules', () => {
+  const grammar = parseGrammar([
+    '# Fractal plant',
+    'axiom: X',
+    'n = 5',
+    '#define angle 22.5',
+    'X -> F[+X]F[-X]+X   # main rule',
+    'F -(0.6)-> FF',
+    'F -(0.4)-> F',
+    'A(t) : t > 2 -> F(t)A(t-1)'
+  ].join('\n'))
+  assert.deepEqual(grammar, {
+    axiom: 'X',
+    iterations: 5,
+    angle: 22.5,
+    rules: [
+      { pred: 'X', prod: 'F[+X]F[-X]+X', weight: 1 },
+      { pred: 'F', prod: 'FF', weight: 0.6 },
+      { pred: 'F', prod: 'F', weight: 0.4 },
+      { pred: 'A(t) : t > 2', prod: 'F(t)A(t-1)', weight: 1 }
+    ]
+  })
+  assert.deepEqual(parseGrammar('ω = F\nδ: 60\nignore: + -'), { axiom: 'F', angle: 60, ignore: '+-', rules: [] })
+})
+
+test('formatGrammar output parses back to the same grammar', () => {
+  const params = {
+    axiom: 'A(3)B',
+    iterations: 6,
+    angle: 30,
+    len: 1.5,
+    twist: 0.25,
+    seed: 42,
+    ignore: '+-',
+    rules: [
+      { pred: 'A(t) : t > 0', prod: 'F(t)[+A(t-1)]', weight: 1 },
+      { pred: 'B < F > F', prod: 'FB', weight: 0.25 },
+      { pred: 'B', prod: 'B', weight: 0.75 }
+    ]
+  }
+  const text = formatGrammar(params)
+  assert.deepEqual(parseGrammar(text), params)
+  assert.equal(formatGrammar(parseGrammar(text)), text)
+})
+
+test('reports the line and column of a mistake', () => {
+  assert.throws(() => parseGrammar('axiom: X\n  X -> F(t'), err => err.line === 2 && err.column === 8)
+  assert.throws(() => parseGrammar('axiom: X\nn = 2.5'), /^Error: Line 2, column 5: Expected a whole number/)
+  assert.throws(() => parseGrammar('axiom: X\nF -(x)-> FF'), /Line 2, column 5: Bad rule weight "x"/)
+  assert.throws(() => parseGrammar('axiom: X\naxiom: Y'), /Line 2, column 1: axiom is set twice/)
+  assert.throws(() => parseGrammar('axiom: X\nwhat is this'), /Line 2, column 1/)
+  assert.throws(() => parseGrammar('X -> F'), /No axiom/)
+})
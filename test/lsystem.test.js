@@ -0,0 +1,112 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { deriveGenerations, generationToString, walkGeneration, traceAncestry, descendantRange } from '../src/lsystem.js'
+
+// Every generation of a derivation as strings
+function derive(axiom, rules, iterations, options) {
+  return [...deriveGenerations(axiom, rules, iterations, options)].map(generationToString)
+}
+
+test('deterministic rules rewrite every symbol', () => {
+  const rules = [{ pred: 'A', prod: 'AB' }, { pred: 'B', prod: 'A' }]
+  assert.deepEqual(derive('A', rules, 4), ['A', 'AB', 'ABA', 'ABAAB', 'ABAABABA'])
+})
+
+test('stochastic choices follow the seed', () => {
+  const rules = [
+    { pred: 'F', prod: 'F[+F]', weight: 1 },
+    { pred: 'F', prod: 'F[-F]', weight: 1 },
+    { pred: 'F', prod: 'FF', weight: 1 }
+  ]
+  const a = derive('F', rules, 5, { seed: 7 })
+  assert.deepEqual(derive('F', rules, 5, { seed: 7 }), a)
+  const others = [1, 2, 3, 4, 5].map(seed => derive('F', rules, 5, { seed }).at(-1))
+  assert.ok(others.some(s => s !== a.at(-1)), 'different seeds should give different plants')
+})
+
+test('weights set how often each alternative is chosen', () => {
+  const rules = [{ pred: 'A', prod: 'B', weight: 3 }, { pred: 'A', prod: 'C', weight: 1 }]
+  const last = derive('A'.repeat(4000), rules, 1, { seed: 1 })[1]
+  const share = (last.split('B').length - 1) / last.length
+  assert.ok(share > 0.7 && share < 0.8, `B chosen ${share} of the time`)
+  assert.equal(derive('AA', [{ pred: 'A', prod: 'B', weight: 0 }, { pred: 'A', prod: 'C' }], 1)[1], 'CC')
+})
+
+test('parametric rules evaluate their arguments and conditions', () => {
+  const rules = [
+    { pred: 'A(t) : t > 0', prod: 'F(t)A(t-1)' },
+    { pred: 'A(t) : t <= 0', prod: 'X' }
+  ]
+  const last = [...deriveGenerations('A(2)', rules, 3)].at(-1)
+  assert.equal(generationToString(last), 'FFX')
+  assert.deepEqual(last.params, [[2], [1], null])
+})
+
+test('context rules match across brackets and ignored symbols', () => {
+  // ABOP fig. 1.31 style signal: B travels right along the string
+  const rules = [{ pred: 'B < A', prod: 'B' }, { pred: 'B', prod: 'A' }]
+  assert.deepEqual(derive('BAAA', rules, 3), ['BAAA', 'ABAA', 'AABA', 'AAAB'])
+  assert.deepEqual(derive('B+A', [{ pred: 'B < A', prod: 'C' }], 1), ['B+A', 'B+A'])
+  assert.deepEqual(derive('B+A', [{ pred: 'B < A', prod: 'C' }], 1, { ignore: '+' }), ['B+A', 'B+C'])
+  assert.deepEqual(derive('A[B]C', [{ pred: 'A > C', prod: 'D' }], 1), ['A[B]C', 'D[B]C'])
+  assert.deepEqual(derive('B[A]', [{ pred: 'B < A', prod: 'C' }], 1), ['B[A]', 'B[C]'])
+})
+
+test('walkGeneration visits the same symbols as deriveGenerations', () => {
+  const rules = [
+    { pred: 'X', prod: 'F[+X]F[-X]+X', weight: 2 },
+    { pred: 'X', prod: 'F[-X]+X', weight: 1 },
+    { pred: 'F(l)', prod: 'F(l*0.5)F(l*0.5)' }
+  ]
+  const generations = [...deriveGenerations('F(4)X', rules, 4, { seed: 3 })]
+  for (let n = 0; n <= 4; n++) {
+    const visited = { codes: [], births: [], lineage: [], params: [] }
+    const count = walkGeneration('F(4)X', rules, n, { seed: 3 }, (code, birth, id, params) => {
+      visited.codes.push(code)
+      visited.births.push(birth)
+      visited.lineage.push(id)
+      visited.params.push(params)
+    })
+    const gen = generations[n]
+    assert.equal(count, gen.codes.length)
+    assert.deepEqual(visited, {
+      codes: [...gen.codes],
+      births: [...gen.births],
+      lineage: [...gen.lineage],
+      params: gen.params
+    })
+  }
+})
+
+test('walkGeneration refuses context-sensitive grammars', () => {
+  assert.throws(() => walkGeneration('BA', [{ pred: 'B < A', prod: 'B' }], 2, {}, () => {}), /context-free/)
+})
+
+test('traceAncestry names the rule that fired, even when others write the same thing', () => {
+  const trace = (axiom, rules, n, index, options) => {
+    const generations = [...deriveGenerations(axiom, rules, n, options)]
+    return traceAncestry(generations, n, index).map(({ gen, index, code, rule }) => [gen, index, String.fromCharCode(code), rule])
+  }
+  // The context rule never applies to a lone A
+  assert.deepEqual(trace('A', [{ pred: 'B < A', prod: 'C' }, { pred: 'A', prod: 'C' }], 1, 0), [[0, 0, 'A', -1], [1, 0, 'C', 1]])
+  // Conditions pick between rules with the same successor text
+  const conditional = [{ pred: 'A(t) : t > 5', prod: 'F(t)' }, { pred: 'A(t) : t <= 5', prod: 'F(t*2)' }]
+  assert.deepEqual(trace('A(1)A(9)', conditional, 1, 0), [[0, 0, 'A', -1], [1, 0, 'F', 1]])
+  assert.deepEqual(trace('A(1)A(9)', conditional, 1, 1), [[0, 1, 'A', -1], [1, 1, 'F', 0]])
+  // Contexts on either side, as in the Hogeweg plant's 0<0>0 and 1<0>0
+  const hogeweg = [{ pred: '0 < 0 > 0', prod: '0' }, { pred: '1 < 0 > 0', prod: '0' }]
+  assert.deepEqual(trace('1000', hogeweg, 1, 1)[1], [1, 1, '0', 1])
+  assert.deepEqual(trace('1000', hogeweg, 1, 2)[1], [1, 2, '0', 0])
+  // Rule indices count rules that can't fire, and symbols carried along keep their origin
+  const weighted = [{ pred: 'A', prod: 'B', weight: 0 }, { pred: 'A', prod: 'AB' }, { pred: 'B', prod: 'C' }]
+  assert.deepEqual(trace('A', weighted, 3, 3), [[0, 0, 'A', -1], [1, 1, 'B', 1], [2, 2, 'C', 2]])
+})
+
+test('descendantRange spans everything a symbol became', () => {
+  const generations = [...deriveGenerations('AB', [{ pred: 'A', prod: 'AB' }, { pred: 'B', prod: 'A' }], 3)]
+  // AB -> ABA -> ABAAB -> ABAABABA: the axiom's A became ABAAB, its B became ABA
+  assert.deepEqual(descendantRange(generations, 0, 0, 3), [0, 5])
+  assert.deepEqual(descendantRange(generations, 0, 1, 3), [5, 8])
+  assert.deepEqual(descendantRange(generations, 2, 3, 3), [5, 7])
+  assert.deepEqual(descendantRange(generations, 3, 4, 3), [4, 5])
+})
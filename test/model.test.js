@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { deriveGenerations } from '../src/lsystem.js'
+import { interpretString } from '../src/turtle.js'
+import { buildTubeArrays, updateTubeShape, createExtras } from '../src/model.js'
+
+const SETTINGS = { angle: 90, len: 1, twist: 0, branchColor: '#8B4513', leafColor: '#228B22' }
+
+function draw(str) {
+  const [gen] = deriveGenerations(str, [], 0)
+  return interpretString(gen, SETTINGS)
+}
+
+test('createExtras gives polygons and each shape a mesh that knows its order', () => {
+  assert.equal(createExtras(draw('FF')), null)
+  const group = createExtras(draw('F{F+F+F}FLLK'))
+  const meshes = Object.fromEntries(group.children.map(m => [m.name, m]))
+  assert.deepEqual(Object.keys(meshes).sort(), ['flower', 'leaf', 'polygons'])
+  assert.deepEqual([...meshes.polygons.userData.order], [4, 4])
+  assert.equal(meshes.leaf.count, 2)
+  assert.deepEqual([...meshes.leaf.userData.order], [5, 5])
+  assert.equal(meshes.flower.isInstancedMesh, true)
+})
+
+test('updateTubeShape writes the same positions and normals buildTubeArrays allocates', () => {
+  const rules = [{ pred: 'X', prod: 'F[+X][-X]FX' }, { pred: 'F', prod: 'FF' }]
+  const data = interpretString([...deriveGenerations('X', rules, 3)].at(-1), { ...SETTINGS, angle: 25, twist: 0.5 })
+  const settings = { width: 0.3, widthDecay: 0.6, thickness: 'depth' }
+  const tubes = buildTubeArrays(data, settings, 6)
+  const positions = new Float32Array(tubes.positions.length)
+  const normals = new Float32Array(tubes.normals.length)
+  updateTubeShape(data, settings, 6, positions, normals)
+  assert.deepEqual(positions, tubes.positions)
+  assert.deepEqual(normals, tubes.normals)
+})
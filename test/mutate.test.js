@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mutateParams } from '../src/mutate.js'
+import { parseModules } from '../src/lsystem.js'
+
+// Small seeded generator, so a litter can be drawn again
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const parent = {
+  axiom: 'X',
+  rules: [
+    { pred: 'X', prod: 'F[+X]F[-X]+X', weight: 1 },
+    { pred: 'F', prod: 'FF', weight: 1 },
+    { pred: 'A(t) : t > 0', prod: 'F(t*0.5)[{.+A(t-1).}]', weight: 1 }
+  ],
+  iterations: 4,
+  angle: 25,
+  len: 2,
+  twist: 0.2,
+  width: 0.4,
+  widthDecay: 0.7,
+  susceptibility: 0,
+  branchColor: '#8B4513'
+}
+
+// Every bracket pair closes in order: [ ] and { } nest properly
+function balanced(prod) {
+  const open = []
+  for (const ch of prod) {
+    if (ch === '[' || ch === '{') open.push(ch)
+    else if (ch === ']' && open.pop() !== '[') return false
+    else if (ch === '}' && open.pop() !== '{') return false
+  }
+  return open.length === 0
+}
+
+test('children keep their brackets balanced and their modules intact', () => {
+  const random = seeded(1)
+  for (let n = 0; n < 300; n++) {
+    const child = mutateParams(parent, { edits: 4, random })
+    for (const { prod } of child.rules) {
+      assert.ok(balanced(prod), `unbalanced production "${prod}"`)
+      assert.doesNotThrow(() => parseModules(prod), prod)
+      for (const [, args] of prod.matchAll(/\(([^()]*)\)/g)) assert.ok(['t*0.5', 't-1'].includes(args), prod)
+    }
+  }
+})
+
+test('the same random sequence gives the same child, and the parent is left alone', () => {
+  const copy = structuredClone(parent)
+  const a = mutateParams(parent, { random: seeded(7) })
+  assert.deepEqual(mutateParams(parent, { random: seeded(7) }), a)
+  assert.notDeepEqual(mutateParams(parent, { random: seeded(8) }), a)
+  assert.deepEqual(parent, copy)
+  assert.equal(a.branchColor, parent.branchColor)
+  assert.deepEqual(a.rules.map(r => [r.pred, r.weight]), parent.rules.map(r => [r.pred, r.weight]))
+})
+
+test('numeric settings drift within their limits', () => {
+  const random = seeded(3)
+  for (let n = 0; n < 200; n++) {
+    const child = mutateParams(parent, { edits: 0, drift: 0.5, random })
+    assert.deepEqual(child.rules, parent.rules)
+    assert.ok(child.angle >= 25 - 12.5 && child.angle <= 25 + 12.5)
+    assert.ok(child.twist >= 0 && child.twist <= 1)
+    assert.ok(child.widthDecay >= 0.1 && child.widthDecay <= 1)
+    assert.ok(child.susceptibility >= -0.05 && child.susceptibility <= 0.05)
+    assert.equal(child.iterations, parent.iterations)
+  }
+  assert.deepEqual(mutateParams(parent, { edits: 0, drift: 0, random }), parent)
+})
+
+test("a child that would outgrow its parent's memory is redrawn", () => {
+  // Any extra F in F -> FF doubles the growth rate; after 8 generations that's far past the limit
+  const doubling = { ...parent, axiom: 'F', rules: [{ pred: 'F', prod: 'FF', weight: 1 }], iterations: 8 }
+  const random = seeded(5)
+  for (let n = 0; n < 100; n++) {
+    const { prod } = mutateParams(doubling, { edits: 3, random }).rules[0]
+    assert.ok(prod.split('F').length - 1 <= 2, prod)
+  }
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import {
+  validatePreset, encodeState, decodeState, serializeLibrary, parseLibrary, mergeLibrary,
+  PRESET_DEFAULTS, withDefaults, presetFromParams, paramsFromPreset
+} from '../src/presets.js'
+
+const preset = JSON.parse(readFileSync(new URL('fixtures/plant.json', import.meta.url), 'utf8'))
+
+test('keeps the known fields and normalizes rule maps', () => {
+  assert.deepEqual(validatePreset({ ...preset, extra: 1 }), preset)
+  assert.deepEqual(validatePreset({ ...preset, rules: { X: 'FX' } }).rules, [{ pred: 'X', prod: 'FX', weight: 1 }])
+})
+
+test('rejects missing and malformed fields', () => {
+  assert.throws(() => validatePreset(null), /not a preset object/)
+  assert.throws(() => validatePreset([preset]), /not a preset object/)
+  assert.throws(() => validatePreset({ ...preset, axiom: undefined }), /missing "axiom"/)
+  assert.throws(() => validatePreset({ ...preset, angle: '25' }), /"angle" should be a number/)
+  assert.throws(() => validatePreset({ ...preset, iterations: 2.5 }), /"iterations" should be a whole number/)
+  assert.throws(() => validatePreset({ ...preset, rules: [{ pred: 'X' }] }), /"rules"/)
+  assert.throws(() => validatePreset({ ...preset, rules: [{ pred: 'X', prod: 'F', weight: -1 }] }), /"rules"/)
+  assert.throws(() => validatePreset({ ...preset, symbols: { F: 1 } }), /"symbols"/)
+  assert.throws(() => validatePreset({ ...preset, branchColor: 'red' }), /"branchColor" should be a #RRGGBB color/)
+  assert.throws(() => validatePreset({ ...preset, thumbnail: 'javascript:alert(1)' }), /"thumbnail"/)
+})
+
+test('a shared link decodes to the preset it was made from', () => {
+  const shared = { ...preset, axiom: 'X→Ω', seed: 4 }
+  const hash = encodeState(shared)
+  assert.match(hash, /^[\w-]+$/)
+  assert.deepEqual(decodeState(hash), shared)
+  assert.throws(() => decodeState(hash.slice(0, -5)), /damaged or incomplete/)
+  assert.throws(() => decodeState(encodeState({ ...preset, angle: null })), /invalid: "angle" should be a number/)
+})
+
+test('a library round-trips, and bad entries are skipped with a message', () => {
+  const text = serializeLibrary({ Plant: preset })
+  assert.deepEqual(parseLibrary(text).presets, { Plant: preset })
+
+  const data = JSON.parse(text)
+  data.presets.Broken = { ...preset, angle: 'wide' }
+  const { presets, errors } = parseLibrary(JSON.stringify(data))
+  assert.deepEqual(Object.keys(presets), ['Plant'])
+  assert.deepEqual(errors, ['"Broken": "angle" should be a number'])
+  assert.deepEqual(Object.keys(parseLibrary(JSON.stringify({ ' Bare ': preset })).presets), ['Bare'])
+  assert.throws(() => parseLibrary('not json'), /Not a JSON file/)
+  assert.throws(() => parseLibrary('{"format":"other"}'), /Unknown file format "other"/)
+})
+
+test('merging renames, replaces or skips presets whose name is taken', () => {
+  const other = { ...preset, angle: 30 }
+  const existing = { Plant: preset, 'Plant (2)': preset }
+  assert.deepEqual(Object.keys(mergeLibrary(existing, { Plant: other }).presets), ['Plant', 'Plant (2)', 'Plant (3)'])
+  assert.equal(mergeLibrary(existing, { Plant: other }, 'replace').presets.Plant, other)
+  assert.deepEqual(mergeLibrary(existing, { Plant: other }, 'skip'), { presets: existing, added: 0, renamed: 0, replaced: 0, skipped: 1 })
+})
+
+test('params and presets convert into each other', () => {
+  const params = paramsFromPreset(preset)
+  assert.equal(params.len, 2)
+  assert.deepEqual(params.tropism, PRESET_DEFAULTS.tropism)
+  assert.deepEqual(presetFromParams(params), withDefaults(preset))
+  assert.equal(withDefaults({ ...preset, seed: 5 }).seed, 5)
+})
@@ -0,0 +1,167 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { deriveGenerations } from '../src/lsystem.js'
+import { interpretString, growthOrigins } from '../src/turtle.js'
+
+const SETTINGS = { angle: 90, len: 1, twist: 0, branchColor: '#ff0000', leafColor: '#00ff00' }
+
+// Runs the turtle over a string as written, with no rules applied
+function draw(str, settings = {}) {
+  const [gen] = deriveGenerations(str, [], 0)
+  return interpretString(gen, { ...SETTINGS, ...settings })
+}
+
+// Segment i as [x0, y0, z0, x1, y1, z1], rounded so float noise doesn't matter
+function segment(data, i) {
+  return [...data.vertices.slice(i * 6, i * 6 + 6)].map(v => Math.round(v * 1000) / 1000 + 0)
+}
+
+test('turns, moves without drawing and turns around', () => {
+  assert.deepEqual(segment(draw('F+F'), 1), [0, 1, 0, 1, 1, 0])
+  assert.deepEqual(segment(draw('F-F'), 1), [0, 1, 0, -1, 1, 0])
+  const moved = draw('FfFGF')
+  assert.equal(moved.vertices.length, 18)
+  assert.deepEqual(segment(moved, 1), [0, 2, 0, 0, 3, 0])
+  assert.deepEqual(segment(moved, 2), [0, 4, 0, 0, 5, 0])
+  assert.deepEqual(segment(draw('F|F'), 1), [0, 1, 0, 0, 0, 0])
+  assert.deepEqual(segment(draw('F(2)+(45)F(2)'), 1).slice(3, 5), [1.414, 3.414])
+})
+
+test('pitches and rolls in 3D', () => {
+  assert.deepEqual(segment(draw('^F'), 0), [0, 0, 0, 0, 0, 1])
+  assert.deepEqual(segment(draw('&F'), 0), [0, 0, 0, 0, 0, -1])
+  assert.deepEqual(segment(draw('\\+F'), 0), [0, 0, 0, 0, 0, -1])
+  assert.deepEqual(segment(draw('/+F'), 0), [0, 0, 0, 0, 0, 1])
+})
+
+test('$ rolls the left vector back to horizontal', () => {
+  // +(90) turns the heading onto the turtle's left vector, so its segment shows where that points
+  const tilted = segment(draw('&(30)/(40)+(90)F'), 0)
+  const rolled = segment(draw('&(30)/(40)$+(90)F'), 0)
+  assert.notEqual(tilted[4], 0)
+  assert.equal(rolled[4], 0)
+})
+
+test('! narrows the width and brackets restore it', () => {
+  const data = draw('F!F[!F]F!(0.1)F', { width: 0.5, widthDecay: 0.5 })
+  assert.deepEqual([...data.segmentWidths], [0.5, 0.25, 0.125, 0.25, Math.fround(0.1)])
+})
+
+test("' steps through the palette", () => {
+  const data = draw("F'F'(0)F", { branchColor: '#ff0000', leafColor: '#00ff00' })
+  assert.deepEqual([...data.colors.slice(0, 3)], [1, 0, 0])
+  assert.deepEqual([...data.colors.slice(6, 9)], [0, 1, 0])
+  assert.deepEqual([...data.colors.slice(12, 15)], [1, 0, 0])
+})
+
+test('% cuts the rest of its branch only', () => {
+  const data = draw('F[F%F[F]F]F')
+  assert.equal(data.vertices.length / 6, 3)
+  assert.deepEqual(segment(data, 2), [0, 1, 0, 0, 2, 0])
+})
+
+test('the symbol table decides what each symbol does', () => {
+  const symbols = { F: 'draw', X: 'noop', M: 'move', D: 'draw:2', C: 'color:1', L: 'leaf', Z: 'shape:nothing' }
+  const data = draw('XFMFDCFLZ', { symbols, flowerColor: '#0000ff' })
+  // F, F after the move, D in flower color, F in the color C switched to, then two leaf strokes
+  assert.equal(data.vertices.length / 6, 6)
+  assert.deepEqual(segment(data, 1), [0, 2, 0, 0, 3, 0])
+  assert.deepEqual([...data.colors.slice(12, 15)], [0, 0, 1])
+  assert.deepEqual([...data.colors.slice(18, 21)], [0, 1, 0])
+  assert.deepEqual([...data.segmentSymbols], [1, 3, 4, 6, 7, 7])
+  assert.deepEqual(data.shapes, {})
+})
+
+test('structural commands cannot be remapped', () => {
+  const data = draw('F+F', { symbols: { F: 'draw', '+': 'draw' } })
+  assert.equal(data.vertices.length / 6, 2)
+  assert.deepEqual(segment(data, 1), [0, 1, 0, 1, 1, 0])
+})
+
+test('{ } fills the traced path, or the . vertices when there are any', () => {
+  // Three sides of a unit square traced by the turtle close into two triangles facing along z,
+  // revealed once the segments that traced them are drawn
+  const traced = draw('{F+F+F}').polygons
+  assert.equal(traced.positions.length, 2 * 9)
+  assert.deepEqual([...traced.normals.slice(0, 3)].map(Math.abs), [0, 0, 1])
+  assert.deepEqual([...traced.order], [3, 3])
+
+  // Only the marked corners count, and moves trace without drawing
+  const marked = draw('F{.f+f.+f.}F').polygons
+  assert.equal(marked.positions.length, 9)
+  assert.deepEqual([...marked.order], [1])
+  assert.equal(draw('{F}').polygons.positions.length, 0)
+})
+
+test('shape symbols place one instance per symbol at the turtle', () => {
+  const { shapes } = draw('FLF[+K]K', { len: 2, flowerColor: '#0000ff' })
+  assert.deepEqual(Object.keys(shapes).sort(), ['flower', 'leaf'])
+  assert.deepEqual([...shapes.leaf.order], [1])
+  assert.deepEqual([...shapes.flower.order], [2, 2])
+  // Matrix translation is the turtle position, the scale the step length times the shape's
+  const m = shapes.leaf.matrices
+  assert.deepEqual([m[12], m[13], m[14]], [0, 2, 0])
+  assert.ok(Math.abs(m[5] - 2 * 0.8) < 1e-6)
+  assert.deepEqual([...shapes.flower.colors.slice(0, 3)], [0, 0, 1])
+})
+
+test('growthOrigins lengthens old segments and sprouts new ones from their parent', () => {
+  const rules = [{ pred: 'F', prod: 'F[+F]F' }]
+  const [gen0, gen1] = deriveGenerations('AF', rules, 1)
+  const prev = interpretString(gen0, SETTINGS)
+  const data = interpretString(gen1, SETTINGS)
+  const from = [...growthOrigins(prev, data, gen1.parents, 1)].map(v => Math.round(v * 1000) / 1000 + 0)
+  assert.deepEqual(from, [
+    0, 0, 0, 0, 1, 0, // A isn't rewritten and stays where it was
+    0, 1, 0, 0, 1.5, 0, // F -> F..F: the two share the old F between them
+    0, 1.5, 0, 0, 1.5, 0, // [+F] sprouts from the end of the first half
+    0, 1.5, 0, 0, 2, 0
+  ])
+})
+
+test('the first generation grows from the root', () => {
+  const data = draw('F[+F]F')
+  const from = [...growthOrigins(null, data, null, 0)]
+  assert.deepEqual(from, new Array(18).fill(0))
+})
+
+test('tropism bends the heading towards its direction after each segment', () => {
+  const heading = (data, i) => {
+    const [x0, y0, , x1, y1] = segment(data, i)
+    return Math.atan2(x1 - x0, y1 - y0)
+  }
+  const bent = draw('FFF', { tropism: [1, 0, 0], susceptibility: 0.5 })
+  assert.equal(heading(bent, 0), 0)
+  // e * |H × T|: half a radian off vertical, then a little less as H nears T
+  assert.ok(Math.abs(heading(bent, 1) - 0.5) < 0.01)
+  const second = heading(bent, 2) - heading(bent, 1)
+  assert.ok(second > 0 && second < 0.5)
+  assert.ok(heading(draw('FF', { tropism: [1, 0, 0], susceptibility: -0.5 }), 1) < 0)
+  assert.equal(heading(draw('FF', { tropism: [1, 0, 0] }), 1), 0)
+})
+
+test('jitter follows the seed and stays within its range', () => {
+  const jittered = (seed, settings) => {
+    const [gen] = deriveGenerations('F'.repeat(200) + '+F', [], 0, { seed })
+    return interpretString(gen, { ...SETTINGS, ...settings })
+  }
+  const lengths = data => data.segmentDistances.slice(1).map((d, i) => d - data.segmentDistances[i])
+  const uniform = lengths(jittered(1, { lengthJitter: 0.2 }))
+  assert.deepEqual(uniform, lengths(jittered(1, { lengthJitter: 0.2 })))
+  assert.notDeepEqual(uniform, lengths(jittered(2, { lengthJitter: 0.2 })))
+  assert.ok(uniform.every(l => l >= 0.8 - 1e-6 && l <= 1.2 + 1e-6))
+  assert.ok(Math.max(...uniform) - Math.min(...uniform) > 0.3)
+
+  // Gaussian with a 0.2 deviation: most within one, and some beyond it
+  const gaussian = lengths(jittered(1, { lengthJitter: 0.2, jitterDistribution: 'gaussian' }))
+  const within = gaussian.filter(l => Math.abs(l - 1) <= 0.2).length / gaussian.length
+  assert.ok(within > 0.55 && within < 0.8, `${within} within one deviation`)
+
+  // + turns onto the x axis, give or take the angle jitter
+  const turned = seed => {
+    const [x0, y0, , x1, y1] = segment(jittered(seed, { angleJitter: 10 }), 200)
+    return Math.atan2(y1 - y0, x1 - x0) * 180 / Math.PI
+  }
+  assert.ok(turned(1) !== 0 && Math.abs(turned(1)) <= 10)
+  assert.notEqual(turned(1), turned(2))
+})